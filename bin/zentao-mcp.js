@@ -1,2 +1,21 @@
 #!/usr/bin/env node
-import "../src/zentao-mcp-server.js";
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+try {
+  // Imported here so config errors are reported without a stack trace.
+  const { runDoctor, startHttp, startStdio } = await import("../src/zentao-mcp-server.js");
+  if (args[0] === "doctor") {
+    process.exitCode = (await runDoctor()) ? 1 : 0;
+  } else if (args.includes("--http")) {
+    await startHttp({ port: option("--port"), host: option("--host") });
+  } else {
+    await startStdio();
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
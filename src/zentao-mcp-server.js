@@ -1,79 +1,731 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { exec, execFile } from "child_process";
+import crypto from "crypto";
 import fs from "fs";
+import http from "http";
 import os from "os";
 import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
   ListResourceTemplatesRequestSchema,
   ListResourcesRequestSchema,
   ListToolsRequestSchema,
   ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 
-const server = new Server(
-  {
-    name: "zentao-mcp",
-    version: "0.1.0",
-  },
-  {
-    // Declare supported feature sets so initialization succeeds.
-    capabilities: {
-      resources: {}, // enables resources/list & read
-      tools: {}, // enables tools/list & call
-    },
+const serverInfo = {
+  name: "zentao-mcp",
+  version: "0.1.0",
+};
+
+// Config file keys for each setting. A setting resolves, highest precedence
+// first, from: the process environment, the --config file, ./.env, and finally
+// the built-in default where it is used.
+const settingKeys = {
+  ZENTAO_BASE_URL: "baseUrl",
+  ZENTAO_ACCOUNT: "account",
+  ZENTAO_PASSWORD: "password",
+  ZENTAO_PASSWORD_CMD: "passwordCmd",
+  ZENTAO_TOKEN: "token",
+  ZENTAO_DEFAULT_PROFILE: "defaultProfile",
+  ZENTAO_PROFILES_FILE: "profilesFile",
+  ZENTAO_READ_ONLY: "readOnly",
+  ZENTAO_ALLOW_RULES: "allowRules",
+  ZENTAO_DENY_RULES: "denyRules",
+  ZENTAO_AUDIT_LOG: "auditLog",
+  ZENTAO_PAGE_SIZE: "pageSize",
+  ZENTAO_PAGE_CONCURRENCY: "pageConcurrency",
+  ZENTAO_MAX_IMAGES: "maxImages",
+  ZENTAO_MAX_IMAGE_BYTES: "maxImageBytes",
+  ZENTAO_IMAGE_CACHE_DIR: "imageCacheDir",
+  ZENTAO_IMAGE_CACHE_TTL: "imageCacheTtl",
+  ZENTAO_IMAGE_CACHE_MAX_BYTES: "imageCacheMaxBytes",
+  ZENTAO_MAX_RETRIES: "maxRetries",
+  ZENTAO_RETRY_DELAY_MS: "retryDelayMs",
+  ZENTAO_CACHE_TTL: "cacheTtl",
+  ZENTAO_CACHE_DIR: "cacheDir",
+  ZENTAO_COMMIT_PATTERN: "commitPattern",
+  ZENTAO_HTTP_TOKENS: "httpTokens",
+  ZENTAO_HTTP_TOKENS_FILE: "httpTokensFile",
+  ZENTAO_HTTP_PORT: "httpPort",
+  ZENTAO_HTTP_HOST: "httpHost",
+  ZENTAO_HTTP_SESSION_IDLE: "httpSessionIdle",
+  ZENTAO_HTTP_FILE_ROOT: "httpFileRoot",
+};
+const secretSettings = ["ZENTAO_PASSWORD", "ZENTAO_TOKEN", "ZENTAO_HTTP_TOKENS"];
+
+function cliOption(name) {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+// Split on `separator` where it is not inside a quoted string.
+function splitUnquoted(text, separator, limit = Infinity) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\" && quote === '"') i += 1;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === separator && parts.length < limit - 1) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
   }
-);
+  parts.push(text.slice(start));
+  return parts;
+}
 
-function loadEnvFallback() {
-  const candidates = [
-    path.join(process.cwd(), ".env"),
-    path.join(os.homedir(), ".env"),
-    path.join(os.homedir(), ".zshrc"),
-  ];
-  const envRegex = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*["']?(.*?)["']?\s*$/;
-  for (const file of candidates) {
-    if (!fs.existsSync(file)) continue;
-    const content = fs.readFileSync(file, "utf8");
-    for (const line of content.split("\n")) {
-      const match = envRegex.exec(line);
-      if (!match) continue;
-      const [, key, value] = match;
-      if (!process.env[key] && value !== undefined) {
-        process.env[key] = value.trim();
+function parseTomlValue(text, fail) {
+  if (text.startsWith('"')) return JSON.parse(text);
+  if (text.startsWith("'")) return text.endsWith("'") ? text.slice(1, -1) : fail("unterminated string");
+  if (text === "true" || text === "false") return text === "true";
+  if (/^[+-]?\d[\d_]*(\.\d+)?$/.test(text)) return Number(text.replace(/_/g, ""));
+  if (text.startsWith("[") && text.endsWith("]")) {
+    const inner = text.slice(1, -1).trim();
+    return inner
+      ? splitUnquoted(inner, ",")
+          .map((item) => item.trim())
+          .filter(Boolean)
+          .map((item) => parseTomlValue(item, fail))
+      : [];
+  }
+  return fail(`unsupported value ${text}`);
+}
+
+/**
+ * Parse the TOML subset config files need: [tables], dotted and quoted keys,
+ * strings, numbers, booleans and single-line arrays.
+ */
+function parseToml(text, file) {
+  const root = {};
+  let table = root;
+  const unquoteKey = (key) => {
+    const trimmed = key.trim();
+    return /^(".*"|'.*')$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+  };
+  const descend = (target, keys, fail) =>
+    keys.reduce((current, key) => {
+      current[key] ??= {};
+      if (typeof current[key] !== "object" || Array.isArray(current[key])) fail(`${key} is not a table`);
+      return current[key];
+    }, target);
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const fail = (message) => {
+      throw new Error(`${file}:${index + 1}: ${message}`);
+    };
+    const line = splitUnquoted(raw, "#", 2)[0].trim();
+    if (!line) return;
+    const header = /^\[(.+)\]$/.exec(line);
+    if (header) {
+      table = descend(root, splitUnquoted(header[1], ".").map(unquoteKey), fail);
+      return;
+    }
+    const [key, value] = splitUnquoted(line, "=", 2);
+    if (value === undefined || !key.trim()) fail("expected key = value");
+    const keys = splitUnquoted(key, ".").map(unquoteKey);
+    try {
+      descend(table, keys.slice(0, -1), fail)[keys.at(-1)] = parseTomlValue(value.trim(), fail);
+    } catch (err) {
+      if (err.message.startsWith(`${file}:`)) throw err;
+      fail(err.message);
+    }
+  });
+  return root;
+}
+
+/**
+ * Parse a .env file without touching process.env: supports `export`, comments,
+ * single quotes (literal), double quotes (escapes) and $VAR / ${VAR} expansion.
+ */
+function parseDotEnv(text) {
+  const values = {};
+  const expand = (value, escapes) =>
+    value.replace(/\\(.)|\$\{([A-Za-z_]\w*)\}|\$([A-Za-z_]\w*)/g, (match, escaped, braced, bare) => {
+      if (escaped !== undefined) {
+        if (!escapes) return match;
+        return { n: "\n", r: "\r", t: "\t" }[escaped] ?? escaped;
+      }
+      const name = braced || bare;
+      return values[name] ?? process.env[name] ?? "";
+    });
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_]\w*)\s*=\s*(.*)$/.exec(line);
+    if (!match) continue;
+    const [, key, rest] = match;
+    if (rest.startsWith("'")) {
+      values[key] = rest.slice(1, rest.indexOf("'", 1) > 0 ? rest.indexOf("'", 1) : undefined);
+    } else if (rest.startsWith('"')) {
+      const quoted = /^"((?:[^"\\]|\\.)*)"/.exec(rest);
+      values[key] = expand(quoted ? quoted[1] : rest.slice(1), true);
+    } else {
+      values[key] = expand(rest.replace(/\s+#.*$/, "").trim(), false);
+    }
+  }
+  return values;
+}
+
+function findConfigFile() {
+  const explicit = cliOption("--config") || process.env.ZENTAO_CONFIG;
+  if (explicit) return { file: path.resolve(explicit), explicit: true };
+  const dir = path.join(os.homedir(), ".zentao-mcp");
+  const file = ["config.toml", "config.json"].map((name) => path.join(dir, name)).find(fs.existsSync);
+  return { file, explicit: false };
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (file.endsWith(".json")) {
+    const parsed = safeJson(text);
+    if (!parsed || typeof parsed !== "object") throw new Error(`Invalid JSON in ${file}`);
+    return parsed;
+  }
+  return parseToml(text, file);
+}
+
+function configValueToString(value) {
+  if (Array.isArray(value)) return value.join(",");
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, item]) => `${key}=${item}`)
+      .join(",");
+  }
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+function loadSettings() {
+  const configKeys = Object.fromEntries(Object.entries(settingKeys).map(([env, key]) => [key, env]));
+  const { file: configFile, explicit } = findConfigFile();
+  const warnings = [];
+  const config = { file: undefined, values: {}, profiles: {} };
+  if (configFile && (explicit || fs.existsSync(configFile))) {
+    if (!fs.existsSync(configFile)) throw new Error(`Config file not found: ${configFile}`);
+    const parsed = readConfigFile(configFile);
+    config.file = configFile;
+    for (const [key, value] of Object.entries(parsed)) {
+      if (key === "profiles" && value && typeof value === "object") {
+        config.profiles = value;
+        continue;
+      }
+      const env = configKeys[key] || (settingKeys[key] ? key : undefined);
+      if (!env) {
+        warnings.push(`Unknown key "${key}" in ${configFile}`);
+        continue;
       }
+      config.values[env] = configValueToString(value);
+    }
+  }
+  const dotEnvFile = path.join(process.cwd(), ".env");
+  const dotEnv = fs.existsSync(dotEnvFile) ? parseDotEnv(fs.readFileSync(dotEnvFile, "utf8")) : {};
+  // The working directory is often a project checkout; its .env must not be
+  // able to run commands, so password commands only come from env or config.
+  for (const key of Object.keys(dotEnv).filter((key) => key.endsWith("_PASSWORD_CMD"))) {
+    delete dotEnv[key];
+    warnings.push(`Ignored ${key} in ${dotEnvFile}: password commands are only read from the environment or the config file`);
+  }
+  const sources = [
+    { name: "env", values: process.env },
+    { name: `config ${configFile}`, values: config.values },
+    { name: `.env ${dotEnvFile}`, values: dotEnv },
+  ];
+  return { sources, config, dotEnvFile: fs.existsSync(dotEnvFile) ? dotEnvFile : undefined, warnings };
+}
+
+const settings = loadSettings();
+
+function settingEntry(key) {
+  for (const source of settings.sources) {
+    const value = source.values[key];
+    if (value !== undefined && value !== "") return { value, source: source.name };
+  }
+  return { value: undefined, source: "default" };
+}
+
+function setting(key) {
+  return settingEntry(key).value;
+}
+
+// ZENTAO_PROFILE_<NAME>_* keys from every source, lower precedence first.
+function prefixedSettings(prefix) {
+  const merged = {};
+  for (const source of [...settings.sources].reverse()) {
+    for (const [key, value] of Object.entries(source.values)) {
+      if (key.startsWith(prefix) && value) merged[key] = { value, source: source.name };
+    }
+  }
+  return merged;
+}
+
+const profilesFile =
+  setting("ZENTAO_PROFILES_FILE") || path.join(os.homedir(), ".zentao-mcp", "profiles.json");
+
+function createProfile(name, { baseUrl, account, password, passwordCmd, token } = {}, source) {
+  return {
+    name,
+    source,
+    baseUrl: baseUrl?.replace(/\/$/, "") || "",
+    account: account || "",
+    password: password || "",
+    // Shell command printing the password, run at login (e.g. a keychain lookup).
+    passwordCommand: password ? "" : passwordCmd || "",
+    cachedToken: token || "",
+    tokenRequest: null,
+  };
+}
+
+/**
+ * Profiles come from, in increasing precedence: ./.env, the profiles file, the
+ * [profiles.<name>] tables of the config file, then ZENTAO_PROFILE_<NAME>_*
+ * and the plain ZENTAO_* settings (which define the "default" profile) from
+ * the config file and the environment.
+ */
+function loadProfiles() {
+  const profiles = new Map();
+  // Fields each profile got from a source other than ./.env or a profiles file it chose.
+  const trustedFields = new Map();
+  const merge = (name, fields, source, trusted = true) => {
+    const defined = Object.fromEntries(Object.entries(fields).filter(([, v]) => v));
+    if (!Object.keys(defined).length) return;
+    const existing = profiles.get(name);
+    const previous = existing
+      ? {
+          baseUrl: existing.baseUrl,
+          account: existing.account,
+          password: existing.password,
+          passwordCmd: existing.passwordCommand,
+          token: existing.cachedToken,
+        }
+      : {};
+    // A password from a higher-precedence source replaces a lower command and vice versa.
+    if (defined.password || defined.passwordCmd) Object.assign(previous, { password: "", passwordCmd: "" });
+    const sourceName = existing && existing.source !== source ? `${existing.source}+${source}` : source;
+    profiles.set(name, createProfile(name, { ...previous, ...defined }, sourceName));
+    if (trusted) {
+      trustedFields.set(name, new Set([...(trustedFields.get(name) || []), ...Object.keys(defined)]));
+    }
+  };
+  const envFields = {
+    BASE_URL: "baseUrl",
+    ACCOUNT: "account",
+    PASSWORD: "password",
+    PASSWORD_CMD: "passwordCmd",
+    TOKEN: "token",
+  };
+  // Settings may come from the environment, the config file or .env; the
+  // .env ones are merged first so every other source overrides them.
+  const fromSettings = { dotEnv: {}, trusted: {} };
+  const add = (name, field, { value, source }) => {
+    if (!value) return;
+    const group = source.startsWith(".env") ? fromSettings.dotEnv : fromSettings.trusted;
+    const entry = (group[name] ||= { fields: {}, sources: new Set() });
+    entry.fields[field] = value;
+    entry.sources.add(source.split(" ")[0]);
+  };
+  for (const [key, entry] of Object.entries(prefixedSettings("ZENTAO_PROFILE_"))) {
+    const match = /^ZENTAO_PROFILE_([A-Z0-9]+(?:_[A-Z0-9]+)*?)_(BASE_URL|ACCOUNT|PASSWORD_CMD|PASSWORD|TOKEN)$/.exec(key);
+    if (match) add(match[1].toLowerCase(), envFields[match[2]], entry);
+  }
+  for (const [suffix, field] of Object.entries(envFields)) {
+    add("default", field, settingEntry(`ZENTAO_${suffix}`));
+  }
+  for (const [name, { fields }] of Object.entries(fromSettings.dotEnv)) {
+    merge(name, fields, ".env", false);
+  }
+  let defaultName = setting("ZENTAO_DEFAULT_PROFILE");
+  if (fs.existsSync(profilesFile)) {
+    const parsed = safeJson(fs.readFileSync(profilesFile, "utf8"));
+    if (!parsed) throw new Error(`Invalid JSON in ${profilesFile}`);
+    // A profiles file chosen by ./.env is no more trusted than the .env itself.
+    const untrusted = settingEntry("ZENTAO_PROFILES_FILE").source.startsWith(".env");
+    for (const [name, fields] of Object.entries(parsed.profiles || {})) {
+      merge(name.toLowerCase(), untrusted ? { ...fields, passwordCmd: undefined } : fields, "file", !untrusted);
+    }
+    defaultName = defaultName || parsed.defaultProfile;
+  }
+  for (const [name, fields] of Object.entries(settings.config.profiles)) {
+    merge(name.toLowerCase(), fields || {}, "config");
+  }
+  for (const [name, { fields, sources }] of Object.entries(fromSettings.trusted)) {
+    merge(name, fields, [...sources].join("+"));
+  }
+  // A .env must not send credentials from a trusted source to a server of its choosing.
+  for (const [name, profile] of profiles) {
+    const trusted = trustedFields.get(name);
+    if (!profile.baseUrl || !trusted || trusted.has("baseUrl")) continue;
+    if (["password", "passwordCmd", "token"].some((field) => trusted.has(field))) {
+      profile.baseUrl = "";
+      settings.warnings.push(
+        `Ignored the base URL of profile "${name}" from ${settings.dotEnvFile || ".env"}: its credentials come from the environment or a config file, so its base URL must too`
+      );
     }
   }
+  if (!profiles.size) profiles.set("default", createProfile("default", {}, "none"));
+  defaultName = defaultName?.toLowerCase();
+  if (!defaultName || !profiles.has(defaultName)) {
+    defaultName = profiles.has("default") ? "default" : profiles.keys().next().value;
+  }
+  return { profiles, defaultName };
+}
+
+const { profiles, defaultName: defaultProfileName } = loadProfiles();
+// Per tool call state: the selected profile and whether writes are dry runs.
+const requestContext = new AsyncLocalStorage();
+
+function getProfile(name) {
+  const key = (name || defaultProfileName).toLowerCase();
+  const profile = profiles.get(key);
+  if (!profile) {
+    throw new Error(
+      `Unknown profile "${name}", configured profiles: ${[...profiles.keys()].join(", ")}`
+    );
+  }
+  return profile;
+}
+
+function currentProfile() {
+  return requestContext.getStore()?.profile || getProfile();
+}
+
+function withRequestContext({ profile, ...rest }, fn) {
+  const resolved = profile && typeof profile === "object" ? profile : getProfile(profile);
+  return requestContext.run({ ...rest, profile: resolved }, fn);
+}
+
+const readOnly =
+  process.argv.includes("--read-only") || /^(1|true|yes)$/i.test(setting("ZENTAO_READ_ONLY") || "");
+
+/**
+ * Parse "METHOD /path/pattern" rules separated by commas or newlines. The
+ * method may be omitted or "*"; in paths "*" matches one segment and "**"
+ * any number of segments.
+ */
+function parseRequestRules(spec = "") {
+  return spec
+    .split(/[,\n]/)
+    .map((rule) => rule.trim())
+    .filter(Boolean)
+    .map((rule) => {
+      const parts = rule.split(/\s+/);
+      const [method, pattern] = parts.length > 1 ? parts : ["*", parts[0]];
+      const source = `/${pattern.replace(/^\//, "")}`
+        .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*\*/g, "\u0000")
+        .replace(/\*/g, "[^/]*")
+        .replace(/\u0000/g, ".*");
+      return { rule, method: method.toUpperCase(), regex: new RegExp(`^${source}/?$`, "i") };
+    });
+}
+
+const allowRules = parseRequestRules(setting("ZENTAO_ALLOW_RULES"));
+const denyRules = parseRequestRules(setting("ZENTAO_DENY_RULES"));
+
+function matchRule(rules, method, apiPath) {
+  return rules.find(
+    (rule) => (rule.method === "*" || rule.method === method) && rule.regex.test(apiPath)
+  );
+}
+
+function assertRequestAllowed(method, apiPath) {
+  if (readOnly && method !== "GET") {
+    throw new Error(`Blocked ${method} ${apiPath}: server is in read-only mode`);
+  }
+  const denied = matchRule(denyRules, method, apiPath);
+  if (denied) throw new Error(`Blocked ${method} ${apiPath}: matches deny rule "${denied.rule}"`);
+  if (allowRules.length && !matchRule(allowRules, method, apiPath)) {
+    throw new Error(`Blocked ${method} ${apiPath}: not matched by any allow rule`);
+  }
 }
 
-loadEnvFallback();
+// Rules are matched against the URL fetch will actually request: dot
+// segments resolved, percent-encoding decoded and the API prefix removed.
+function apiPathOf(url) {
+  const target = new URL(url);
+  const root = new URL(`${currentProfile().baseUrl}/api.php/v1/`);
+  if (target.origin !== root.origin) {
+    throw new Error(`Blocked request to ${target.origin}: not the profile's ZENTAO_BASE_URL`);
+  }
+  if (!`${target.pathname}/`.startsWith(root.pathname)) {
+    throw new Error(`Blocked request to ${target.pathname}: outside ${root.pathname}`);
+  }
+  try {
+    return `/${decodeURIComponent(target.pathname.slice(root.pathname.length))}`;
+  } catch (err) {
+    throw new Error(`Blocked request to ${target.pathname}: invalid percent-encoding`);
+  }
+}
+
+const auditLogFile = /^(off|false|0)$/i.test(setting("ZENTAO_AUDIT_LOG") || "")
+  ? ""
+  : setting("ZENTAO_AUDIT_LOG") || path.join(os.homedir(), ".zentao-mcp", "audit.jsonl");
+
+// Objects whose current fields are snapshotted before a write, for reverts.
+const auditedObjectPattern =
+  /^\/(bugs|tasks|stories|cases|projects|products|executions|productplans|builds|users|programs|feedback|tickets)\/(\d+)(?:\/[a-z]+)?$/i;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      /password|passwd|token|secret/i.test(key) ? "[redacted]" : redact(v),
+    ])
+  );
+}
+
+async function snapshotPrevious(apiPath, method, body) {
+  const match = auditedObjectPattern.exec(apiPath);
+  if (!match) return undefined;
+  try {
+    const res = await callZenTao({ path: `${match[1]}/${match[2]}` });
+    const current = res.data || {};
+    if (method === "DELETE") return redact(current);
+    const fields = new Set(["status", "assignedTo", ...Object.keys(previewBody(body) || {})]);
+    return redact(
+      Object.fromEntries([...fields].filter((key) => key in current).map((key) => [key, current[key]]))
+    );
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function writeAuditEntry(entry) {
+  const context = requestContext.getStore() || {};
+  const profile = currentProfile();
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    profile: profile.name,
+    account: profile.account,
+    tool: context.tool,
+    ...entry,
+    query: redact(entry.query),
+    body: redact(previewBody(entry.body)),
+  });
+  try {
+    // Entries hold request bodies and snapshots of the objects changed; keep them private.
+    fs.mkdirSync(path.dirname(auditLogFile), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(auditLogFile, `${line}\n`, { mode: 0o600 });
+  } catch (err) {
+    // Auditing must never break the request itself; report on stderr only.
+    console.error(`Failed to write audit log ${auditLogFile}: ${err.message}`);
+  }
+}
+
+function readAuditLog({ limit = 50, tool, method, pathContains, since } = {}) {
+  if (!auditLogFile || !fs.existsSync(auditLogFile)) return [];
+  const pinned = requestContext.getStore()?.pinned ? currentProfile().name : null;
+  const sinceTime = since ? new Date(since).getTime() : null;
+  return fs
+    .readFileSync(auditLogFile, "utf8")
+    .split("\n")
+    .map(safeJson)
+    .filter(Boolean)
+    .filter((entry) => {
+      // Sessions pinned to a profile (HTTP tokens) only see their own writes.
+      if (pinned && entry.profile !== pinned) return false;
+      if (tool && entry.tool !== tool) return false;
+      if (method && entry.method !== method.toUpperCase()) return false;
+      if (pathContains && !`${entry.path}`.includes(pathContains)) return false;
+      if (sinceTime && new Date(entry.timestamp).getTime() < sinceTime) return false;
+      return true;
+    })
+    .slice(-limit)
+    .reverse();
+}
+
+function previewBody(body) {
+  if (!(body instanceof FormData)) return body;
+  return Object.fromEntries(
+    [...body.entries()].map(([key, value]) => [key, typeof value === "string" ? value : `<file ${value.name}>`])
+  );
+}
 
-const baseUrl = process.env.ZENTAO_BASE_URL?.replace(/\/$/, "") || "";
-const account = process.env.ZENTAO_ACCOUNT || "";
-const password = process.env.ZENTAO_PASSWORD || "";
-let cachedToken = process.env.ZENTAO_TOKEN || "";
+const pageSize = Number(setting("ZENTAO_PAGE_SIZE")) || 100;
+const pageConcurrency = Number(setting("ZENTAO_PAGE_CONCURRENCY")) || 3;
+const maxImages = Number(setting("ZENTAO_MAX_IMAGES")) || 5;
+const maxImageBytes = Number(setting("ZENTAO_MAX_IMAGE_BYTES")) || 5 * 1024 * 1024;
+const imageCacheDir = setting("ZENTAO_IMAGE_CACHE_DIR") || "";
+const imageCacheTtl = (Number(setting("ZENTAO_IMAGE_CACHE_TTL")) || 7 * 24 * 3600) * 1000;
+const imageCacheMaxBytes = Number(setting("ZENTAO_IMAGE_CACHE_MAX_BYTES")) || 200 * 1024 * 1024;
+// NaN would never reach `attempt >= maxRetries` and retry forever; fall back instead.
+const configuredRetries = Number(setting("ZENTAO_MAX_RETRIES") ?? 3);
+const maxRetries = Number.isFinite(configuredRetries) && configuredRetries >= 0 ? configuredRetries : 3;
+const retryBaseDelay = Number(setting("ZENTAO_RETRY_DELAY_MS")) || 500;
 
-function assertConfig() {
-  if (!baseUrl) throw new Error("Missing ZENTAO_BASE_URL");
-  if (!account) throw new Error("Missing ZENTAO_ACCOUNT");
-  if (!password) throw new Error("Missing ZENTAO_PASSWORD");
+function assertConfig(profile = currentProfile()) {
+  const suffix = profile.name === "default" ? "" : ` for profile "${profile.name}"`;
+  if (!profile.baseUrl) throw new Error(`Missing ZENTAO_BASE_URL${suffix}`);
+  if (!profile.account) throw new Error(`Missing ZENTAO_ACCOUNT${suffix}`);
+  if (!profile.password && !profile.passwordCommand) {
+    throw new Error(`Missing ZENTAO_PASSWORD or ZENTAO_PASSWORD_CMD${suffix}`);
+  }
 }
 
-async function fetchToken(forceRefresh = false) {
+async function fetchToken(forceRefresh = false, staleToken) {
+  const profile = currentProfile();
+  const { cachedToken } = profile;
   if (cachedToken && !forceRefresh) return cachedToken;
-  assertConfig();
+  // Another caller already replaced the token that just failed for us.
+  if (staleToken && cachedToken && cachedToken !== staleToken) return cachedToken;
+  // Concurrent callers share a single in-flight login per profile.
+  if (!profile.tokenRequest) {
+    profile.tokenRequest = requestToken(profile).finally(() => {
+      profile.tokenRequest = null;
+    });
+  }
+  return profile.tokenRequest;
+}
+
+async function readPasswordCommand(profile) {
+  let stdout;
+  try {
+    ({ stdout } = await promisify(exec)(profile.passwordCommand, { timeout: 15000 }));
+  } catch (err) {
+    throw new Error(`Password command for profile "${profile.name}" failed: ${err.message.split("\n")[0]}`);
+  }
+  const password = stdout.replace(/\r?\n$/, "");
+  if (!password) throw new Error(`Password command for profile "${profile.name}" printed nothing`);
+  return password;
+}
+
+async function requestToken(profile) {
+  assertConfig(profile);
+  if (!profile.password) profile.password = await readPasswordCommand(profile);
+  const { baseUrl, account, password } = profile;
   const url = `${baseUrl}/api.php/v1/tokens`;
-  const res = await fetch(url, {
+  const res = await fetchWithRetry(url, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ account, password }),
+    // Logging in twice is harmless, so treat it like an idempotent call.
+    idempotent: true,
   });
   const text = await res.text();
   if (!res.ok) throw new Error(`Token request failed: ${res.status} ${text}`);
   const data = safeJson(text);
   if (!data?.token) throw new Error("Token missing in response");
-  cachedToken = data.token;
-  return cachedToken;
+  profile.cachedToken = data.token;
+  return profile.cachedToken;
+}
+
+// Errors raised before the request reached ZenTao, so any method may retry.
+const connectionErrorCodes = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "UND_ERR_CONNECT_TIMEOUT"];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function fetchWithRetry(url, { idempotent, ...init }) {
+  // POST/PATCH may have been applied before a 5xx or dropped connection.
+  const canReplay = idempotent ?? !["POST", "PATCH"].includes(init.method);
+  for (let attempt = 0; ; attempt += 1) {
+    const delay = retryBaseDelay * 2 ** attempt;
+    try {
+      const res = await fetch(url, init);
+      if (res.status < 500 || !canReplay || attempt >= maxRetries) return res;
+      await res.body?.cancel();
+    } catch (err) {
+      const code = err.cause?.code || err.code;
+      const retriable = canReplay || connectionErrorCodes.includes(code);
+      if (!retriable || attempt >= maxRetries) throw err;
+    }
+    await sleep(delay);
+  }
+}
+
+function isAuthFailure(status, data) {
+  if (status === 401) return true;
+  // Some ZenTao versions answer 200 with { error: "Unauthorized" }.
+  return /unauthori[sz]ed/i.test(`${data?.error || ""}`);
+}
+
+// Reference data changes rarely, so GET responses for it are cached per
+// account for ZENTAO_CACHE_TTL seconds (0 disables) and dropped on writes.
+const cacheTtl = Number(setting("ZENTAO_CACHE_TTL") ?? 300) * 1000;
+const cacheDir = setting("ZENTAO_CACHE_DIR") || "";
+const cacheableRequests = [
+  /^\/(users|departments|products|projects)(\/\d+)?$/,
+  /^\/projects\/\d+\/executions$/,
+  /^\/modules$/,
+];
+// Executions are listed under their project.
+const cacheDependents = { executions: ["projects"] };
+const cacheEntries = new Map();
+
+function cacheResourceOf(apiPath) {
+  return apiPath.split("/")[1] || "";
+}
+
+function cacheFilePath(resource, key) {
+  const hash = crypto.createHash("sha1").update(key).digest("hex");
+  return path.join(cacheDir, `${resource}-${hash}.json`);
+}
+
+/**
+ * Memoize `load()` under `key` for the cache TTL. Pending loads are shared,
+ * failures are not kept, and `persist` also stores the result in ZENTAO_CACHE_DIR.
+ */
+async function cached(key, resource, load, { persist = false } = {}) {
+  if (!cacheTtl) return load();
+  const now = Date.now();
+  const entry = cacheEntries.get(key);
+  if (entry && entry.expires > now) return entry.value;
+  const file = persist && cacheDir ? cacheFilePath(resource, key) : null;
+  if (file && fs.existsSync(file)) {
+    const stored = safeJson(fs.readFileSync(file, "utf8"));
+    if (stored?.key === key && stored.expires > now) {
+      cacheEntries.set(key, { resource, expires: stored.expires, value: Promise.resolve(stored.value) });
+      return stored.value;
+    }
+  }
+  const value = load();
+  cacheEntries.set(key, { resource, expires: now + cacheTtl, value });
+  try {
+    const result = await value;
+    if (file) {
+      // Cached users carry emails and phone numbers; keep the files private to this account.
+      fs.mkdirSync(cacheDir, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(file, JSON.stringify({ key, expires: now + cacheTtl, value: result }), { mode: 0o600 });
+    }
+    return result;
+  } catch (err) {
+    if (cacheEntries.get(key)?.value === value) cacheEntries.delete(key);
+    throw err;
+  }
+}
+
+function invalidateCache(resource) {
+  const resources = resource ? [resource, ...(cacheDependents[resource] || [])] : null;
+  const matches = (name) => !resources || resources.includes(name);
+  let memory = 0;
+  for (const [key, entry] of cacheEntries) {
+    if (!matches(entry.resource)) continue;
+    cacheEntries.delete(key);
+    memory += 1;
+  }
+  let disk = 0;
+  if (cacheDir && fs.existsSync(cacheDir)) {
+    for (const file of fs.readdirSync(cacheDir)) {
+      const match = /^(\w+)-[0-9a-f]{40}\.json$/.exec(file);
+      if (!match || !matches(match[1])) continue;
+      fs.rmSync(path.join(cacheDir, file), { force: true });
+      disk += 1;
+    }
+  }
+  return { memory, disk };
 }
 
 async function callZenTao({
@@ -83,21 +735,62 @@ async function callZenTao({
   body,
   headers = {},
   forceTokenRefresh = false,
+  cache = true,
 }) {
   assertConfig();
-  const token = await fetchToken(forceTokenRefresh);
+  method = method.toUpperCase();
   const url = buildUrl(path, query);
-  const res = await fetch(url, {
-    method,
-    headers: {
-      "Content-Type": "application/json",
-      Token: token,
-      ...headers,
-    },
-    body: body ? JSON.stringify(body) : undefined,
-  });
-  const text = await res.text();
-  const data = safeJson(text);
+  const apiPath = apiPathOf(url);
+  assertRequestAllowed(method, apiPath);
+  if (method === "GET" && cache && cacheTtl && cacheableRequests.some((re) => re.test(apiPath))) {
+    const key = `${currentProfile().account}@${url}`;
+    const load = () => callZenTao({ path, query, headers, forceTokenRefresh, cache: false });
+    // Callers get their own copy so they can't alter the cached response.
+    return structuredClone(await cached(key, cacheResourceOf(apiPath), load, { persist: true }));
+  }
+  if (method !== "GET" && requestContext.getStore()?.dryRun) {
+    const preview = { dryRun: true, method, url, body: previewBody(body) };
+    return { status: null, headers: {}, data: preview };
+  }
+  const audited = method !== "GET" && Boolean(auditLogFile);
+  const previous = audited ? await snapshotPrevious(apiPath, method, body) : undefined;
+  const audit = (fields) => {
+    if (audited) writeAuditEntry({ method, path: apiPath, query, body, previous, ...fields });
+  };
+  let token = await fetchToken(forceTokenRefresh);
+  // Multipart uploads must let fetch set its own boundary header.
+  const isForm = body instanceof FormData;
+  const send = () =>
+    fetchWithRetry(url, {
+      method,
+      headers: {
+        ...(isForm ? {} : { "Content-Type": "application/json" }),
+        Token: token,
+        ...headers,
+      },
+      body: isForm ? body : body ? JSON.stringify(body) : undefined,
+    });
+  let res;
+  let text;
+  let data;
+  try {
+    res = await send();
+    text = await res.text();
+    data = safeJson(text);
+    if (isAuthFailure(res.status, data)) {
+      // The token expired server-side: log in again once and replay.
+      token = await fetchToken(true, token);
+      res = await send();
+      text = await res.text();
+      data = safeJson(text);
+    }
+  } catch (err) {
+    audit({ error: err.message });
+    throw err;
+  } finally {
+    if (method !== "GET") invalidateCache(cacheResourceOf(apiPath));
+  }
+  audit({ status: res.status, error: res.ok ? undefined : text.slice(0, 500) || res.statusText });
   if (!res.ok) {
     throw new Error(
       `Request failed ${res.status}: ${text || res.statusText || "unknown"}`
@@ -111,9 +804,9 @@ async function callZenTao({
 }
 
 function buildUrl(path, query) {
-  const cleaned = path.startsWith("http")
+  const cleaned = /^https?:\/\//i.test(path)
     ? path
-    : `${baseUrl}/api.php/v1/${path.replace(/^\//, "")}`;
+    : `${currentProfile().baseUrl}/api.php/v1/${path.replace(/^\//, "")}`;
   if (!query || Object.keys(query).length === 0) return cleaned;
   const usp = new URLSearchParams();
   Object.entries(query).forEach(([key, value]) => {
@@ -140,6 +833,263 @@ function extractArray(payload, keys = []) {
   return [];
 }
 
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, items.length)) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    }
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Walk every page of a ZenTao list endpoint using the `total`/`page`/`limit`
+ * fields of its response. Items passing `filter` are collected until `limit`
+ * matches are found or `maxPages` pages have been read.
+ */
+async function fetchAllPages({
+  path,
+  query = {},
+  keys = [],
+  filter,
+  limit = Infinity,
+  maxPages = Infinity,
+  concurrency = pageConcurrency,
+}) {
+  const fetchPage = async (page) => {
+    const res = await callZenTao({ path, query: { ...query, page, limit: pageSize } });
+    return res.data;
+  };
+  const matched = [];
+  let pages = 0;
+  let scanned = 0;
+  let previousFirstId;
+  let exhausted = false;
+  const collect = (payload) => {
+    const items = extractArray(payload, keys);
+    pages += 1;
+    scanned += items.length;
+    // Servers that ignore `page` keep returning the first page; stop there.
+    if (!items.length || (pages > 1 && items[0]?.id === previousFirstId)) {
+      exhausted = true;
+      return;
+    }
+    previousFirstId = items[0]?.id;
+    if (items.length < perPage) exhausted = true;
+    for (const item of items) {
+      if (!filter || filter(item)) matched.push(item);
+    }
+  };
+  const first = await fetchPage(1);
+  const hasTotal = first?.total !== undefined && Number.isFinite(Number(first.total));
+  const total = hasTotal ? Number(first.total) : undefined;
+  const perPage = Number(first?.limit) || pageSize;
+  collect(first);
+  const lastPage = Math.min(hasTotal ? Math.ceil(total / perPage) : Infinity, maxPages);
+  // Without a total we cannot know the page count, so read one page at a time.
+  const batchSize = hasTotal ? concurrency : 1;
+  let page = 2;
+  while (page <= lastPage && matched.length < limit && !exhausted) {
+    const batch = [];
+    for (let p = page; p <= lastPage && batch.length < batchSize; p++) batch.push(p);
+    const payloads = await mapWithConcurrency(batch, concurrency, fetchPage);
+    payloads.forEach(collect);
+    page += batch.length;
+  }
+  return {
+    items: matched.slice(0, limit),
+    total: hasTotal ? total : scanned,
+    pages,
+    scanned,
+  };
+}
+
+// Directories built from reference data share its cache TTL and invalidation.
+const userIndexes = new Map();
+
+function cachedDirectory(kind, load) {
+  const resource = kind.startsWith("modules") ? "modules" : kind === "executions" ? "projects" : kind;
+  return cached(`${currentProfile().name}:directory:${kind}`, resource, load);
+}
+
+async function loadDirectory(kind, { productId } = {}) {
+  if (kind === "user") {
+    return cachedDirectory("users", async () => (await fetchAllPages({ path: "users", keys: ["users"] })).items);
+  }
+  if (kind === "product" || kind === "project") {
+    return cachedDirectory(`${kind}s`, async () => (await fetchAllPages({ path: `${kind}s`, keys: [`${kind}s`] })).items);
+  }
+  if (kind === "execution") {
+    return cachedDirectory("executions", async () => {
+      const projects = await loadDirectory("project");
+      const perProject = await mapWithConcurrency(projects, pageConcurrency, async (project) =>
+        (await listExecutions(project.id)).map((execution) => ({ ...execution, projectName: project.name }))
+      );
+      return perProject.flat();
+    });
+  }
+  if (kind === "build") {
+    const builds = await cachedDirectory("builds", async () => {
+      const projects = await loadDirectory("project");
+      const perProject = await mapWithConcurrency(projects, pageConcurrency, async (project) =>
+        (await fetchAllPages({ path: `projects/${project.id}/builds`, keys: ["builds"] })).items
+      );
+      // Execution builds are listed under their project too; keep each build once.
+      return [...new Map(perProject.flat().map((build) => [String(build.id), build])).values()];
+    });
+    return productId ? builds.filter((build) => String(build.product) === String(productId)) : builds;
+  }
+  if (kind === "module") {
+    if (!productId) throw new Error("A product is required to resolve module names");
+    return cachedDirectory(`modules:${productId}`, async () => {
+      const res = await callZenTao({ path: "modules", query: { type: "story", id: productId } });
+      // Module trees nest children; keep the full path so "Parent/Child" can be matched.
+      const flatten = (nodes, prefix) =>
+        nodes.flatMap((node) => {
+          const fullName = prefix ? `${prefix}/${node.name}` : node.name;
+          return [{ ...node, fullName }, ...flatten(Array.isArray(node.children) ? node.children : [], fullName)];
+        });
+      return flatten(extractArray(res.data, ["modules"]), "");
+    });
+  }
+  throw new Error(`Unknown kind "${kind}", expected user, product, project, execution, module or build`);
+}
+
+// Best effort: accounts that cannot list users keep plain account matching.
+async function loadUserDirectory() {
+  const profileName = currentProfile().name;
+  const index = await cached(`${profileName}:directory:user-index`, "users", async () => {
+    try {
+      const users = await loadDirectory("user");
+      const byName = new Map();
+      for (const user of users) {
+        for (const key of [user.account, user.realname, user.id]) {
+          if (key !== undefined && key !== null && key !== "") byName.set(String(key).trim().toLowerCase(), user);
+        }
+      }
+      return byName;
+    } catch (err) {
+      return null;
+    }
+  });
+  // Kept for the synchronous account matching in normalizeAccount.
+  userIndexes.set(profileName, index);
+  return index;
+}
+
+function userIndex() {
+  return userIndexes.get(currentProfile().name) || null;
+}
+
+const directoryNames = {
+  user: (user) => [user.account, user.realname],
+  product: (product) => [product.name, product.code],
+  project: (project) => [project.name, project.code],
+  execution: (execution) => [execution.name, execution.code],
+  module: (module) => [module.fullName, module.name],
+  build: (build) => [build.name],
+};
+
+const directoryChoices = {
+  user: (user) => ({ account: user.account, realname: user.realname }),
+  product: (product) => ({ id: product.id, name: product.name }),
+  project: (project) => ({ id: project.id, name: project.name }),
+  execution: (execution) => ({ id: execution.id, name: execution.name, project: execution.projectName }),
+  module: (module) => ({ id: module.id, name: module.fullName }),
+  build: (build) => ({ id: build.id, name: build.name, product: build.product }),
+};
+
+function isSubsequence(needle, haystack) {
+  let i = 0;
+  for (const ch of haystack) if (ch === needle[i]) i += 1;
+  return i === needle.length;
+}
+
+/**
+ * Match a name against a directory: exact names win, then substrings, then
+ * characters in order ("zs" -> "zhangsan"). Returns the single match, or the
+ * candidate choices when the name is unknown or ambiguous.
+ */
+async function findByName(kind, query, { productId } = {}) {
+  const entries = await loadDirectory(kind, { productId });
+  const q = String(query).trim().toLowerCase();
+  const namesOf = (entry) => directoryNames[kind](entry).filter(Boolean).map((n) => String(n).toLowerCase());
+  const exact = entries.filter((entry) => namesOf(entry).includes(q));
+  const partial = exact.length ? exact : entries.filter((entry) => namesOf(entry).some((n) => n.includes(q)));
+  const matches = partial.length
+    ? partial
+    : entries.filter((entry) => namesOf(entry).some((n) => isSubsequence(q, n)));
+  return {
+    match: matches.length === 1 ? directoryChoices[kind](matches[0]) : undefined,
+    choices: matches.slice(0, 20).map(directoryChoices[kind]),
+    total: matches.length,
+  };
+}
+
+async function resolveName(kind, value, { productId } = {}) {
+  if (value === undefined || value === null || value === "") return value;
+  if (kind !== "user" && /^\d+$/.test(String(value).trim())) return Number(value);
+  // "trunk" is ZenTao's built-in build, not a listed one.
+  if (kind === "build" && String(value).trim().toLowerCase() === "trunk") return "trunk";
+  if (kind === "user") {
+    const index = await loadUserDirectory();
+    const key = String(value).trim().toLowerCase();
+    // "closed" is ZenTao's assignee for closed objects, not a user.
+    if (!index || key === "closed") return value;
+    if (index.get(key)?.account === String(value).trim()) return value;
+  }
+  const { match, choices, total } = await findByName(kind, value, { productId });
+  if (match) return kind === "user" ? match.account : match.id;
+  if (!total) throw new Error(`No ${kind} matches "${value}"`);
+  const listed = choices.map((choice) => `- ${JSON.stringify(choice)}`).join("\n");
+  throw new Error(
+    `Ambiguous ${kind} "${value}", ${total} matches. Pass one of these instead:\n${listed}${
+      total > choices.length ? "\n..." : ""
+    }`
+  );
+}
+
+// Tool arguments that accept a name instead of an ID (or account).
+const resolvableArguments = {
+  productId: "product",
+  product: "product",
+  projectId: "project",
+  executionId: "execution",
+  execution: "execution",
+  moduleId: "module",
+  module: "module",
+  assignedTo: "user",
+  reviewer: "user",
+  build: "build",
+};
+
+async function resolveArguments(args) {
+  const resolved = { ...args };
+  // Products first: module names are looked up in the product's tree.
+  const names = Object.keys(resolvableArguments).filter((key) => key in resolved);
+  for (const key of names) {
+    const kind = resolvableArguments[key];
+    const productId = resolved.productId ?? resolved.product;
+    const resolve = (value) => resolveName(kind, value, { productId });
+    const value = resolved[key];
+    if (Array.isArray(value)) {
+      resolved[key] = await Promise.all(value.map(resolve));
+    } else if (kind === "module" && typeof value === "string" && value.includes(",")) {
+      resolved[key] = (await Promise.all(toValueList(value).map(resolve))).join(",");
+    } else {
+      resolved[key] = await resolve(value);
+    }
+  }
+  return resolved;
+}
+
 function normalizeAccount(value) {
   const values = [];
   if (!value) return values;
@@ -159,9 +1109,39 @@ function normalizeAccount(value) {
       if (v !== undefined && v !== null) values.push(String(v));
     });
   }
-  return values
+  const normalized = values
     .map((v) => v.trim().toLowerCase())
     .filter((v) => v.length > 0 && v !== "[object object]");
+  // With a user directory, a real name also yields its account and vice versa.
+  const index = userIndex();
+  if (!index) return normalized;
+  const expanded = normalized.flatMap((v) => {
+    const user = index.get(v);
+    return user ? [v, `${user.account || ""}`, `${user.realname || ""}`].map((n) => n.trim().toLowerCase()) : [v];
+  });
+  return [...new Set(expanded.filter(Boolean))];
+}
+
+function isAssignedToMe(item) {
+  const accountLower = (currentProfile().account || "").trim().toLowerCase();
+  if (!accountLower) return true;
+  // Without a user directory, fall back to the display-name fields some servers add.
+  const fields = userIndex()
+    ? [item.assignedTo]
+    : [item.assignedTo, item.assignedToName, item.assignedToRealname];
+  return fields.some((value) => normalizeAccount(value).includes(accountLower));
+}
+
+function resolveZenTaoUrl(src) {
+  if (!src || /^(data|javascript|blob):/i.test(src)) return null;
+  // ZenTao editors store uploaded images as "{fileID.ext}" placeholders.
+  const placeholder = /^\{(\d+)\.(\w+)\}$/.exec(src);
+  const href = placeholder ? `file-read-${placeholder[1]}.${placeholder[2]}` : src;
+  try {
+    return new URL(href, `${currentProfile().baseUrl}/`).toString();
+  } catch (err) {
+    return null;
+  }
 }
 
 function parseImageSources(html = "") {
@@ -169,7 +1149,7 @@ function parseImageSources(html = "") {
   const urls = [];
   let match;
   while ((match = regex.exec(html))) {
-    const url = match[1];
+    const url = resolveZenTaoUrl(match[1].replace(/&amp;/g, "&"));
     if (url && /^https?:\/\//i.test(url)) {
       urls.push(url);
     }
@@ -177,91 +1157,369 @@ function parseImageSources(html = "") {
   return urls;
 }
 
-async function listProjectsForAccount({ keyword, limit = 50 } = {}) {
-  const res = await callZenTao({
-    path: "projects",
-    query: { page: 1, limit },
-  });
-  const projects = extractArray(res.data, ["projects"]);
-  const accountLower = (account || "").trim().toLowerCase();
-  const filtered = projects.filter((p) => {
-    const name = `${p.name || ""}`.toLowerCase();
-    const matchKeyword = keyword ? name.includes(keyword.toLowerCase()) : true;
-    if (!accountLower) return matchKeyword;
-    const fields = [
-      p.PM,
-      p.PO,
-      p.QD,
-      p.RD,
-      p.openedBy,
-      p.lastEditedBy,
-      p.assignedTo,
-    ]
-      .filter(Boolean)
-      .map((v) => `${v}`.toLowerCase());
-    const team = Array.isArray(p.teamMembers) ? p.teamMembers : [];
-    const teamMatch = team.some((m) => `${m.account || m.name || ""}`.toLowerCase() === accountLower);
-    const fieldMatch = fields.includes(accountLower);
-    return matchKeyword && (teamMatch || fieldMatch);
-  });
-  return filtered.slice(0, limit);
-}
-
-async function listProducts({ keyword, limit = 20 } = {}) {
-  const res = await callZenTao({
-    path: "products",
-    query: { page: 1, limit, keywords: keyword },
-  });
-  const products = extractArray(res.data, ["products"]);
-  const filtered = keyword
-    ? products.filter((p) =>
-        `${p.name || ""}`.toLowerCase().includes(keyword.toLowerCase())
-      )
-    : products;
-  return filtered.slice(0, limit);
-}
-
-async function findProductByName(name) {
-  if (!name) throw new Error("productName is required");
-  const candidates = await listProducts({ keyword: name, limit: 50 });
-  const exact = candidates.find(
-    (p) => `${p.name || ""}`.toLowerCase() === name.toLowerCase()
-  );
-  if (exact) return { product: exact, matches: candidates };
-  if (candidates.length === 1) return { product: candidates[0], matches: candidates };
-  return { product: undefined, matches: candidates };
+function imageCachePath(url) {
+  const hash = crypto.createHash("sha1").update(url).digest("hex");
+  return path.join(imageCacheDir, `${hash}.json`);
 }
 
-async function fetchBugsByProduct({
+async function downloadImage(url) {
+  const cacheFile = imageCacheDir ? imageCachePath(url) : null;
+  if (cacheFile && fs.existsSync(cacheFile)) {
+    if (Date.now() - fs.statSync(cacheFile).mtimeMs < imageCacheTtl) {
+      const cached = safeJson(fs.readFileSync(cacheFile, "utf8"));
+      if (cached?.data) return cached;
+    }
+    fs.rmSync(cacheFile, { force: true });
+  }
+  const profile = currentProfile();
+  // Only send our token to the ZenTao host itself, never to third parties.
+  const sameHost = new URL(url).origin === new URL(`${profile.baseUrl}/`).origin;
+  const headers = sameHost ? { Token: await fetchToken() } : {};
+  const res = await fetchWithRetry(url, { method: "GET", headers });
+  if (!res.ok) {
+    await res.body?.cancel();
+    throw new Error(`Download failed ${res.status}`);
+  }
+  const mimeType = (res.headers.get("content-type") || "").split(";")[0].trim();
+  if (!mimeType.startsWith("image/")) {
+    await res.body?.cancel();
+    throw new Error(`Not an image (${mimeType || "unknown type"}); the session may have expired`);
+  }
+  if (Number(res.headers.get("content-length")) > maxImageBytes) {
+    await res.body?.cancel();
+    throw new Error(`Larger than ${maxImageBytes} bytes`);
+  }
+  const buffer = Buffer.from(await res.arrayBuffer());
+  if (buffer.length > maxImageBytes) throw new Error(`Larger than ${maxImageBytes} bytes`);
+  const image = { mimeType, size: buffer.length, data: buffer.toString("base64") };
+  if (cacheFile) {
+    // Screenshots can show customer data; keep them private to this account.
+    fs.mkdirSync(imageCacheDir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(cacheFile, JSON.stringify(image), { mode: 0o600 });
+    pruneImageCache();
+  }
+  return image;
+}
+
+// Drop expired images, then the oldest ones until the cache fits ZENTAO_IMAGE_CACHE_MAX_BYTES.
+function pruneImageCache() {
+  const now = Date.now();
+  const entries = fs
+    .readdirSync(imageCacheDir)
+    .filter((name) => /^[0-9a-f]{40}\.json$/.test(name))
+    .map((name) => {
+      const file = path.join(imageCacheDir, name);
+      return { file, stat: fs.statSync(file, { throwIfNoEntry: false }) };
+    })
+    .filter(({ stat }) => stat)
+    .sort((a, b) => b.stat.mtimeMs - a.stat.mtimeMs);
+  let total = 0;
+  for (const { file, stat } of entries) {
+    total += stat.size;
+    if (total > imageCacheMaxBytes || now - stat.mtimeMs >= imageCacheTtl) fs.rmSync(file, { force: true });
+  }
+}
+
+function listImageAttachments(item) {
+  const files = Array.isArray(item?.files) ? item.files : Object.values(item?.files || {});
+  return files
+    .filter((file) => {
+      const extension = `.${file.extension || ""}`.toLowerCase();
+      return (attachmentMimeTypes[extension] || "").startsWith("image/");
+    })
+    .map((file) => ({
+      title: file.title || `${file.id}.${file.extension}`,
+      url: resolveZenTaoUrl(file.webPath || `file-read-${file.id}.${file.extension}`),
+    }));
+}
+
+/**
+ * Download the step images and image attachments of a bug. Returns MCP
+ * `image` content blocks plus a report of what was loaded or skipped.
+ */
+async function loadBugImages(bug, { limit = maxImages, includeAttachments = true } = {}) {
+  const sources = bug.stepsImages.map((url) => ({ title: "steps", url }));
+  if (includeAttachments) sources.push(...listImageAttachments(bug));
+  const unique = sources.filter(
+    (source, index) => source.url && sources.findIndex((s) => s.url === source.url) === index
+  );
+  const blocks = [];
+  const report = [];
+  for (const source of unique) {
+    if (blocks.length >= limit) {
+      report.push({ ...source, skipped: `image limit ${limit} reached` });
+      continue;
+    }
+    try {
+      const image = await downloadImage(source.url);
+      blocks.push({ type: "image", data: image.data, mimeType: image.mimeType });
+      report.push({ ...source, mimeType: image.mimeType, size: image.size });
+    } catch (err) {
+      report.push({ ...source, skipped: err.message });
+    }
+  }
+  return { blocks, report };
+}
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Web, mail and relative URLs only; javascript:, data: and the like stay plain text.
+function isSafeUrl(url) {
+  return /^(https?|mailto):/i.test(url) || !/^[^/?#]*:/.test(url);
+}
+
+function renderInlineMarkdown(text) {
+  // Odd segments are `code` spans and must not get any further formatting.
+  return String(text)
+    .split(/(`[^`]+`)/)
+    .map((segment, index) => {
+      if (index % 2 === 1) return `<code>${escapeHtml(segment.slice(1, -1))}</code>`;
+      return escapeHtml(segment)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) =>
+          isSafeUrl(url) ? `<img src="${url}" alt="${alt}" />` : match
+        )
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+          isSafeUrl(url) ? `<a href="${url}">${label}</a>` : match
+        )
+        .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>");
+    })
+    .join("");
+}
+
+function markdownToHtml(markdown = "") {
+  const lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+  const flushParagraph = () => {
+    if (!paragraph.length) return;
+    html.push(`<p>${paragraph.map(renderInlineMarkdown).join("<br />")}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (!list) return;
+    const items = list.items.map((item) => `<li>${renderInlineMarkdown(item)}</li>`);
+    html.push(`<${list.tag}>${items.join("")}</${list.tag}>`);
+    list = null;
+  };
+  for (const line of lines) {
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        html.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      flushList();
+      code = [];
+      continue;
+    }
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+      continue;
+    }
+    const item = /^\s*(?:([-*+])|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      flushParagraph();
+      const tag = item[1] ? "ul" : "ol";
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push(item[2]);
+      continue;
+    }
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+    flushList();
+    paragraph.push(line);
+  }
+  if (code) html.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+  flushParagraph();
+  flushList();
+  return html.join("\n");
+}
+
+function textToHtml(text = "") {
+  return String(text)
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .filter((block) => block.trim())
+    .map((block) => `<p>${escapeHtml(block).replace(/\n/g, "<br />")}</p>`)
+    .join("\n");
+}
+
+function formatRichText(text, format = "markdown") {
+  if (text === undefined || text === null) return undefined;
+  if (format === "html") return String(text);
+  if (format === "text") return textToHtml(text);
+  if (format === "markdown") return markdownToHtml(text);
+  throw new Error(`Invalid format "${format}", expected markdown, text or html`);
+}
+
+const attachmentMimeTypes = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".json": "application/json",
+  ".zip": "application/zip",
+};
+
+// HTTP sessions run on a shared server: local files (attachments, git
+// repositories) are only reachable inside this directory, if one is set.
+const httpFileRoot = setting("ZENTAO_HTTP_FILE_ROOT") || "";
+
+function localPath(file, { notFound = "File not found" } = {}) {
+  const pinned = requestContext.getStore()?.pinned;
+  if (pinned && !httpFileRoot) {
+    throw new Error("Local files are disabled for HTTP sessions (set ZENTAO_HTTP_FILE_ROOT to allow a directory)");
+  }
+  const base = pinned ? fs.realpathSync(httpFileRoot) : process.cwd();
+  const resolved = pinned
+    ? path.resolve(base, String(file))
+    : path.resolve(base, String(file).replace(/^~(?=$|\/)/, os.homedir()));
+  let real;
+  try {
+    real = fs.realpathSync(resolved);
+  } catch (err) {
+    throw new Error(`${notFound}: ${file}`);
+  }
+  // Compare real paths so symlinks and ".." cannot leave the root.
+  if (pinned && real !== base && !real.startsWith(`${base}${path.sep}`)) {
+    throw new Error(`${file} is outside ZENTAO_HTTP_FILE_ROOT`);
+  }
+  return real;
+}
+
+// Checked before the object is written, so a bad path never leaves behind a
+// half-created bug that the caller would then retry.
+function resolveAttachments(files = []) {
+  return files.map((file) => {
+    const filePath = localPath(file, { notFound: "Attachment not found" });
+    try {
+      fs.accessSync(filePath, fs.constants.R_OK);
+    } catch (err) {
+      throw new Error(`Attachment not readable: ${file}`);
+    }
+    if (!fs.statSync(filePath).isFile()) throw new Error(`Attachment is not a file: ${file}`);
+    return filePath;
+  });
+}
+
+async function uploadAttachments(objectType, objectID, filePaths = []) {
+  const uploaded = [];
+  // The object already exists here; report each failed upload instead of throwing.
+  for (const filePath of filePaths) {
+    try {
+      const mimeType =
+        attachmentMimeTypes[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+      const form = new FormData();
+      form.append(
+        "file",
+        new Blob([fs.readFileSync(filePath)], { type: mimeType }),
+        path.basename(filePath)
+      );
+      form.append("objectType", objectType);
+      form.append("objectID", String(objectID));
+      const res = await callZenTao({ path: "files", method: "POST", body: form });
+      uploaded.push({ file: filePath, ok: true, response: res.data });
+    } catch (err) {
+      uploaded.push({ file: filePath, ok: false, error: err.message });
+    }
+  }
+  return uploaded;
+}
+
+async function listProjectsForAccount({ keyword, limit = 50, maxPages } = {}) {
+  const accountLower = (currentProfile().account || "").trim().toLowerCase();
+  const { items } = await fetchAllPages({
+    path: "projects",
+    keys: ["projects"],
+    limit,
+    maxPages,
+    filter: (p) => {
+      const name = `${p.name || ""}`.toLowerCase();
+      const matchKeyword = keyword ? name.includes(keyword.toLowerCase()) : true;
+      if (!accountLower) return matchKeyword;
+      const fields = [
+        p.PM,
+        p.PO,
+        p.QD,
+        p.RD,
+        p.openedBy,
+        p.lastEditedBy,
+        p.assignedTo,
+      ]
+        .filter(Boolean)
+        .map((v) => `${v}`.toLowerCase());
+      const team = Array.isArray(p.teamMembers) ? p.teamMembers : [];
+      const teamMatch = team.some((m) => `${m.account || m.name || ""}`.toLowerCase() === accountLower);
+      const fieldMatch = fields.includes(accountLower);
+      return matchKeyword && (teamMatch || fieldMatch);
+    },
+  });
+  return items;
+}
+
+async function listProducts({ keyword, limit = 20, maxPages } = {}) {
+  const { items } = await fetchAllPages({
+    path: "products",
+    query: { keywords: keyword },
+    keys: ["products"],
+    limit,
+    maxPages,
+    filter: keyword
+      ? (p) => `${p.name || ""}`.toLowerCase().includes(keyword.toLowerCase())
+      : undefined,
+  });
+  return items;
+}
+
+async function findProductByName(name) {
+  if (!name) throw new Error("productName is required");
+  const candidates = await listProducts({ keyword: name, limit: 50 });
+  const exact = candidates.find(
+    (p) => `${p.name || ""}`.toLowerCase() === name.toLowerCase()
+  );
+  if (exact) return { product: exact, matches: candidates };
+  if (candidates.length === 1) return { product: candidates[0], matches: candidates };
+  return { product: undefined, matches: candidates };
+}
+
+async function fetchBugsByProduct({
   productId,
   keyword,
   allStatuses = false,
   status,
   limit = 20,
-  page = 1,
+  maxPages,
 }) {
-  const res = await callZenTao({
-    // Use /bugs with product filter; works better for assignedTo filtering.
-    path: "bugs",
-    query: {
-      page,
-      limit,
-      product: productId,
-      keywords: keyword,
-    },
-  });
-  const bugs = extractArray(res.data, ["bugs"]);
-  const accountLower = (account || "").trim().toLowerCase();
+  await loadUserDirectory();
   const statusLower = status ? String(status).trim().toLowerCase() : null;
-  const filtered = bugs.filter((bug) => {
-    const assignedCandidates = [
-      ...normalizeAccount(bug.assignedTo),
-      ...normalizeAccount(bug.assignedToName),
-      ...normalizeAccount(bug.assignedToRealname),
-    ];
-    const matchAssignee = accountLower
-      ? assignedCandidates.includes(accountLower)
-      : true;
+  const matchBug = (bug) => {
+    const matchAssignee = isAssignedToMe(bug);
     const matchKeyword = keyword
       ? `${bug.title || bug.name || ""}`
       .toLowerCase()
@@ -275,8 +1533,17 @@ async function fetchBugsByProduct({
           .toLowerCase() === statusLower
       : true;
     return matchAssignee && matchKeyword && matchStatus;
+  };
+  const { items, total, pages, scanned } = await fetchAllPages({
+    // Use /bugs with product filter; works better for assignedTo filtering.
+    path: "bugs",
+    query: { product: productId, keywords: keyword },
+    keys: ["bugs"],
+    filter: matchBug,
+    limit,
+    maxPages,
   });
-  return { bugs: filtered, raw: res.data };
+  return { bugs: items, pagination: { total, pages, scanned } };
 }
 
 async function getBugWithImages(bugId) {
@@ -287,282 +1554,3689 @@ async function getBugWithImages(bugId) {
   return { ...bug, stepsHtml, stepsImages };
 }
 
-const endpointIndex = `ZenTao RESTful API v1 (api.php/v1)
-- Token: POST /tokens { account, password } -> { token }
-- Departments: GET /departments, GET /departments/{id}
-- Users: GET /users, GET /users/{id}, PUT /users/{id}, DELETE /users/{id}, POST /users
-- Program: GET /programs, POST /programs, PUT /programs/{id}, GET /programs/{id}, DELETE /programs/{id}
-- Products: GET /products, POST /products, GET /products/{id}, PUT /products/{id}, DELETE /products/{id}
-- Product Plans: GET /products/{productID}/plans, POST /products/{productID}/plans, GET/PUT/DELETE /productplans/{id}, relations: POST/DELETE /productplans/{id}/stories, /productplans/{id}/bugs
-- Releases: GET /products/{productID}/releases, GET /projects/{projectID}/releases
-- Stories (需求): GET /stories?product= /project= /execution=, POST /stories, GET/PUT/DELETE /stories/{id}, POST /stories/{id}/close
-- Projects: GET /projects, POST /projects, GET/PUT/DELETE /projects/{id}
-- Builds/Versions: GET /projects/{id}/builds, GET /executions/{id}/builds, POST /builds, GET/PUT/DELETE /builds/{id}
-- Executions: GET /projects/{id}/executions, POST /executions, GET/PUT/DELETE /executions/{id}
-- Tasks: GET /executions/{id}/tasks, POST /tasks, GET/PUT/DELETE /tasks/{id}, state: start/pause/continue/finish/close, logs: POST /tasks/{id}/efforts, GET /tasks/{id}/efforts
-- Bugs: GET /products/{id}/bugs, POST /bugs, GET/PUT/DELETE /bugs/{id}, state: confirm/close/activate/resolve
-- Cases: GET /products/{id}/cases, POST /cases, GET/PUT/DELETE /cases/{id}, POST /cases/{id}/results
-- Test Runs: GET /testsuites/{id}/runs, GET /projects/{id}/testtasks, GET /testtasks/{id}
-- Feedback: POST /feedback, PUT /feedback/{id}/assign, PUT /feedback/{id}/close, DELETE /feedback/{id}, PUT /feedback/{id}, GET /feedback/{id}, GET /feedback
-- Tickets: GET /tickets, GET /tickets/{id}, PUT /tickets/{id}, POST /tickets, DELETE /tickets/{id}
+const bugResolutions = [
+  "fixed",
+  "duplicate",
+  "bydesign",
+  "external",
+  "notrepro",
+  "postponed",
+  "willnotfix",
+];
 
-Docs index: https://www.zentao.net/book/api.html (RESTful v1 section 2.x).`;
+// Statuses each bug action may start from; mirrors ZenTao's own workflow.
+const bugActionRules = {
+  confirm: ["active"],
+  assign: ["active", "resolved"],
+  resolve: ["active"],
+  activate: ["resolved", "closed"],
+  close: ["resolved"],
+};
 
-server.setRequestHandler(ListResourcesRequestSchema, async () => ({
-  resources: [
-    {
-      uri: "zentao://endpoints",
-      name: "ZenTao RESTful v1 endpoints summary",
-      mimeType: "text/plain",
-    },
-    {
-      uri: "zentao://config",
-      name: "Current ZenTao config state (env names only)",
-      mimeType: "text/plain",
-    },
-    {
-      uri: "zentao://projects",
-      name: "Projects related to current account",
-      mimeType: "application/json",
-    },
-  ],
-}));
+function bugStatusOf(bug) {
+  return String(bug?.status || bug?.state || "")
+    .trim()
+    .toLowerCase();
+}
 
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-  const { uri } = request.params;
-  if (uri === "zentao://endpoints") {
-    return {
-      contents: [
-        { uri, mimeType: "text/plain", text: endpointIndex },
-      ],
-    };
+async function changeBugState(bugId, action, body = {}) {
+  if (!bugId) throw new Error("bugId is required");
+  const allowed = bugActionRules[action];
+  if (!allowed) throw new Error(`Unknown bug action: ${action}`);
+  const current = await callZenTao({ path: `bugs/${bugId}` });
+  const bug = current.data || {};
+  const status = bugStatusOf(bug);
+  if (!allowed.includes(status)) {
+    throw new Error(
+      `Cannot ${action} bug ${bugId}: status is "${status || "unknown"}", expected ${allowed.join(" or ")}`
+    );
   }
-  if (uri === "zentao://config") {
-    return {
-      contents: [
-        {
-          uri,
-          mimeType: "text/plain",
-          text: [
-            `ZENTAO_BASE_URL: ${baseUrl ? "set" : "missing"}`,
-            `ZENTAO_ACCOUNT: ${account ? "set" : "missing"}`,
-            `ZENTAO_PASSWORD: ${password ? "set" : "missing"}`,
-            `ZENTAO_TOKEN: ${cachedToken ? "set (cached)" : "not cached"}`,
-          ].join("\\n"),
-        },
-      ],
-    };
+  if (action === "confirm" && String(bug.confirmed) === "1") {
+    throw new Error(`Cannot confirm bug ${bugId}: it is already confirmed`);
   }
-  if (uri === "zentao://projects") {
-    const projects = await listProjectsForAccount({ limit: 100 });
-    return {
-      contents: [
-        {
-          uri,
-          mimeType: "application/json",
-          text: JSON.stringify({ projects }, null, 2),
-        },
-      ],
-    };
+  const response =
+    action === "assign"
+      ? // ZenTao has no dedicated assign action; reassigning is a field edit.
+        await callZenTao({ path: `bugs/${bugId}`, method: "PUT", body })
+      : await callZenTao({
+          path: `bugs/${bugId}/${action}`,
+          method: "POST",
+          body,
+        });
+  return { bugId, action, previousStatus: status, response };
+}
+
+function buildResolveBody({
+  bugId,
+  resolution = "fixed",
+  resolvedBuild,
+  duplicateBug,
+  assignedTo,
+  comment,
+}) {
+  if (!bugResolutions.includes(resolution)) {
+    throw new Error(
+      `Invalid resolution "${resolution}", expected one of: ${bugResolutions.join(", ")}`
+    );
   }
-  throw new Error(`Unknown resource: ${uri}`);
-});
+  if (resolution === "duplicate" && !duplicateBug) {
+    throw new Error(`duplicateBug is required when resolving bug ${bugId} as duplicate`);
+  }
+  return {
+    resolution,
+    resolvedBuild,
+    duplicateBug: resolution === "duplicate" ? duplicateBug : undefined,
+    assignedTo,
+    comment,
+  };
+}
 
-server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
-  resourceTemplates: [],
-}));
+const bugEditableFields = [
+  "product",
+  "module",
+  "execution",
+  "story",
+  "task",
+  "title",
+  "type",
+  "severity",
+  "pri",
+  "openedBuild",
+  "assignedTo",
+  "deadline",
+  "os",
+  "browser",
+  "keywords",
+  "case",
+  "caseVersion",
+  "testtask",
+  "mailto",
+];
 
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: [
-    {
-      name: "get_token",
-      description: "Fetch a token via POST /tokens using env ZENTAO_ACCOUNT/PASSWORD. Caches in-memory.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          forceRefresh: { type: "boolean", description: "Ignore cached token" },
-        },
-        required: [],
-        additionalProperties: false,
-      },
+function buildBugBody(args) {
+  const body = {};
+  for (const field of bugEditableFields) {
+    if (args[field] !== undefined) body[field] = args[field];
+  }
+  if (body.openedBuild !== undefined) {
+    body.openedBuild = [].concat(body.openedBuild).map(String);
+  }
+  const steps = formatRichText(args.steps, args.stepsFormat);
+  if (steps !== undefined) body.steps = steps;
+  return body;
+}
+
+async function createBug(args) {
+  const { product, title, files = [] } = args;
+  if (!product) throw new Error("product is required");
+  if (!title) throw new Error("title is required");
+  const filePaths = resolveAttachments(files);
+  const body = buildBugBody(args);
+  if (!body.openedBuild) body.openedBuild = ["trunk"];
+  const res = await callZenTao({ path: "bugs", method: "POST", body });
+  const bug = res.data || {};
+  // A dry run has no bug ID yet, but the uploads should still be previewed.
+  const bugId = bug.id || bug.bugID || (bug.dryRun ? "(new)" : undefined);
+  const attachments = bugId
+    ? await uploadAttachments("bug", bugId, filePaths)
+    : filePaths.map((file) => ({ file, ok: false, error: "ZenTao returned no bug ID; not uploaded" }));
+  return { bug, attachments };
+}
+
+async function updateBug(args) {
+  const { bugId, files = [] } = args;
+  if (!bugId) throw new Error("bugId is required");
+  const body = buildBugBody(args);
+  if (!Object.keys(body).length && !files.length) {
+    throw new Error("No fields to update");
+  }
+  const filePaths = resolveAttachments(files);
+  const res = Object.keys(body).length
+    ? await callZenTao({ path: `bugs/${bugId}`, method: "PUT", body })
+    : await callZenTao({ path: `bugs/${bugId}` });
+  const attachments = await uploadAttachments("bug", bugId, filePaths);
+  return { bug: res.data, attachments };
+}
+
+const batchBugActions = ["assign", "resolve", "close", "confirm", "edit", "comment"];
+
+async function batchUpdateBugs({
+  action,
+  bugIds = [],
+  filter,
+  assignedTo,
+  resolution,
+  resolvedBuild,
+  duplicateBug,
+  fields = {},
+  comment,
+  commentFormat = "markdown",
+  concurrency,
+  maxBugs,
+}) {
+  if (!batchBugActions.includes(action)) {
+    throw new Error(`Invalid action "${action}", expected one of: ${batchBugActions.join(", ")}`);
+  }
+  const workers = concurrency === undefined || concurrency === "" ? pageConcurrency : Number(concurrency);
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new Error(`Invalid concurrency "${concurrency}", expected an integer of at least 1`);
+  }
+  let ids = [...new Set(toValueList(bugIds))];
+  let matched;
+  if (!ids.length) {
+    if (!filter) throw new Error("bugIds or filter is required");
+    // A filter always scans every page; only maxBugs may cap it, and says so.
+    const { limit, maxPages, ...criteria } = filter;
+    const { bugs, pagination } = await searchBugs({ ...(await resolveArguments(criteria)), limit: Infinity });
+    const cap = Number(maxBugs) || Infinity;
+    ids = bugs.slice(0, cap).map((bug) => String(bug.id));
+    matched = { bugs: bugs.length, scanned: pagination.scanned, truncated: bugs.length > cap };
+  }
+  // Validate once up front so a bad argument is not reported once per bug.
+  const body = buildBugBody(await resolveArguments(fields));
+  const text = formatRichText(comment, commentFormat);
+  const assignee = assignedTo || body.assignedTo;
+  if (action === "assign" && !assignee) throw new Error("assignedTo is required");
+  if (action === "edit" && !Object.keys(body).length) throw new Error("No fields to update");
+  if (action === "comment" && !text) throw new Error("comment is required");
+  const resolveBody =
+    action === "resolve"
+      ? buildResolveBody({ bugId: ids.join(","), resolution, resolvedBuild, duplicateBug, assignedTo: assignee, comment: text })
+      : undefined;
+
+  const apply = {
+    assign: (bugId) => changeBugState(bugId, "assign", { ...body, assignedTo: assignee, comment: text }),
+    resolve: (bugId) => changeBugState(bugId, "resolve", resolveBody),
+    close: (bugId) => changeBugState(bugId, "close", { comment: text }),
+    confirm: (bugId) => changeBugState(bugId, "confirm", { ...body, assignedTo: assignee, comment: text }),
+    edit: async (bugId) => ({
+      response: await callZenTao({ path: `bugs/${bugId}`, method: "PUT", body: { ...body, comment: text } }),
+    }),
+    comment: async (bugId) => ({ response: await addComment("bug", bugId, text) }),
+  };
+  // One failing bug must not stop the rest; every item gets its own outcome.
+  const results = await mapWithConcurrency(ids, workers, async (bugId) => {
+    try {
+      const { previousStatus, response } = await apply[action](bugId);
+      const bug = response.data || {};
+      return { bugId: Number(bugId), ok: true, previousStatus, result: bug.dryRun ? bug : summarizeBug(bug) };
+    } catch (err) {
+      return { bugId: Number(bugId), ok: false, error: err.message };
+    }
+  });
+  const succeeded = results.filter((item) => item.ok).length;
+  return {
+    action,
+    dryRun: Boolean(requestContext.getStore()?.dryRun),
+    matched,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  };
+}
+
+// Statuses each task action may start from; mirrors ZenTao's own workflow.
+const taskActionRules = {
+  start: ["wait"],
+  pause: ["doing"],
+  continue: ["pause"],
+  finish: ["wait", "doing", "pause"],
+  close: ["done", "cancel"],
+};
+
+async function listExecutions(projectId, { limit, maxPages } = {}) {
+  const { items } = await fetchAllPages({
+    path: `projects/${projectId}/executions`,
+    keys: ["executions"],
+    limit,
+    maxPages,
+  });
+  return items;
+}
+
+function flattenTasks(tasks) {
+  // Parent tasks carry their subtasks in `children`; treat them as peers.
+  return tasks.flatMap((task) => [
+    task,
+    ...flattenTasks(Array.isArray(task.children) ? task.children : []),
+  ]);
+}
+
+async function fetchExecutionTasks(executionId, { maxPages } = {}) {
+  const { items } = await fetchAllPages({
+    path: `executions/${executionId}/tasks`,
+    keys: ["tasks"],
+    maxPages,
+  });
+  return flattenTasks(items);
+}
+
+async function listMyTasks({
+  executionId,
+  projectId,
+  status,
+  keyword,
+  includeClosedExecutions = false,
+  limit = 50,
+} = {}, { match = isAssignedToMe } = {}) {
+  await loadUserDirectory();
+  let executions;
+  if (executionId) {
+    executions = [{ id: executionId }];
+  } else {
+    // Tasks can be assigned in projects we are not a named member of, so
+    // scan every project rather than listProjectsForAccount's subset.
+    const projects = projectId
+      ? [{ id: projectId }]
+      : (await fetchAllPages({ path: "projects", keys: ["projects"] })).items;
+    executions = [];
+    for (const project of projects) {
+      const items = await listExecutions(project.id);
+      executions.push(
+        ...items.filter(
+          (e) => includeClosedExecutions || !["closed", "done"].includes(`${e.status || ""}`.toLowerCase())
+        )
+      );
+    }
+  }
+  const statusLower = status ? String(status).trim().toLowerCase() : null;
+  const tasks = [];
+  for (const execution of executions) {
+    const items = await fetchExecutionTasks(execution.id);
+    for (const task of items) {
+      const matchKeyword = keyword
+        ? `${task.name || ""}`.toLowerCase().includes(keyword.toLowerCase())
+        : true;
+      const matchStatus = statusLower
+        ? `${task.status || ""}`.trim().toLowerCase() === statusLower
+        : true;
+      if (match(task) && matchKeyword && matchStatus) {
+        tasks.push({
+          ...task,
+          executionName: task.executionName || execution.name,
+        });
+      }
+    }
+    if (tasks.length >= limit) break;
+  }
+  return tasks.slice(0, limit);
+}
+
+async function createTask(args) {
+  const { execution, name, desc, descFormat } = args;
+  if (!execution) throw new Error("execution is required");
+  if (!name) throw new Error("name is required");
+  const body = {};
+  for (const field of [
+    "execution",
+    "module",
+    "story",
+    "name",
+    "type",
+    "pri",
+    "estimate",
+    "estStarted",
+    "deadline",
+    "assignedTo",
+  ]) {
+    if (args[field] !== undefined) body[field] = args[field];
+  }
+  if (!body.type) body.type = "devel";
+  if (desc !== undefined) body.desc = formatRichText(desc, descFormat);
+  const res = await callZenTao({ path: "tasks", method: "POST", body });
+  return res.data;
+}
+
+async function changeTaskState(taskId, action, body = {}) {
+  if (!taskId) throw new Error("taskId is required");
+  const allowed = taskActionRules[action];
+  if (!allowed) throw new Error(`Unknown task action: ${action}`);
+  const current = await callZenTao({ path: `tasks/${taskId}` });
+  const status = String(current.data?.status || "")
+    .trim()
+    .toLowerCase();
+  if (!allowed.includes(status)) {
+    throw new Error(
+      `Cannot ${action} task ${taskId}: status is "${status || "unknown"}", expected ${allowed.join(" or ")}`
+    );
+  }
+  const response = await callZenTao({
+    path: `tasks/${taskId}/${action}`,
+    method: "POST",
+    body,
+  });
+  return { taskId, action, previousStatus: status, response };
+}
+
+// ZenTao records effort by local date; toISOString() would give the UTC day.
+function today() {
+  return formatDay(new Date());
+}
+
+const storyClosedReasons = [
+  "done",
+  "subdivided",
+  "duplicate",
+  "postponed",
+  "willnotdo",
+  "cancel",
+  "bydesign",
+];
+
+// Statuses each story action may start from; mirrors ZenTao's own workflow.
+const storyActionRules = {
+  review: ["draft", "reviewing", "changing"],
+  activate: ["closed"],
+  close: ["draft", "reviewing", "active", "changing"],
+};
+
+async function listStories({ productId, projectId, executionId, status, keyword, limit = 50 }) {
+  const scope = executionId
+    ? { execution: executionId }
+    : projectId
+    ? { project: projectId }
+    : productId
+    ? { product: productId }
+    : null;
+  if (!scope) throw new Error("productId, projectId or executionId is required");
+  const statusLower = status ? String(status).trim().toLowerCase() : null;
+  const { items } = await fetchAllPages({
+    path: "stories",
+    query: scope,
+    keys: ["stories"],
+    limit,
+    filter: (story) => {
+      const matchKeyword = keyword
+        ? `${story.title || ""}`.toLowerCase().includes(keyword.toLowerCase())
+        : true;
+      const matchStatus = statusLower
+        ? `${story.status || ""}`.trim().toLowerCase() === statusLower
+        : true;
+      return matchKeyword && matchStatus;
     },
-    {
-      name: "call",
-      description:
-        "Call any ZenTao RESTful API endpoint (api.php/v1). Automatically injects Token header. Paths accept leading slash or relative.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          path: { type: "string", description: "Relative path, e.g. /projects or projects/1" },
-          method: {
-            type: "string",
-            description: "HTTP verb",
-            enum: ["GET", "POST", "PUT", "PATCH", "DELETE"],
-            default: "GET",
-          },
-          query: { type: "object", description: "Query params object", additionalProperties: true },
-          body: { type: "object", description: "JSON body", additionalProperties: true },
-          forceTokenRefresh: {
-            type: "boolean",
-            description: "Refresh token before request",
-          },
-        },
+  });
+  return items;
+}
+
+async function getStoryWithImages(storyId) {
+  const res = await callZenTao({ path: `stories/${storyId}` });
+  const story = res.data || {};
+  const specHtml = story.spec || "";
+  const verifyHtml = story.verify || "";
+  return {
+    ...story,
+    specImages: parseImageSources(specHtml),
+    verifyImages: parseImageSources(verifyHtml),
+  };
+}
+
+async function createStory(args) {
+  const { product, title, spec, specFormat, verify, verifyFormat } = args;
+  if (!product) throw new Error("product is required");
+  if (!title) throw new Error("title is required");
+  const body = {};
+  for (const field of [
+    "product",
+    "module",
+    "plan",
+    "title",
+    "category",
+    "source",
+    "pri",
+    "estimate",
+    "reviewer",
+    "assignedTo",
+    "keywords",
+  ]) {
+    if (args[field] !== undefined) body[field] = args[field];
+  }
+  if (body.plan !== undefined) body.plan = [].concat(body.plan);
+  if (body.reviewer !== undefined) body.reviewer = [].concat(body.reviewer);
+  // ZenTao rejects stories without reviewers unless review is waived.
+  if (!body.reviewer?.length) body.needNotReview = args.needNotReview ?? true;
+  if (spec !== undefined) body.spec = formatRichText(spec, specFormat);
+  if (verify !== undefined) body.verify = formatRichText(verify, verifyFormat);
+  const res = await callZenTao({ path: "stories", method: "POST", body });
+  return res.data;
+}
+
+async function changeStoryState(storyId, action, body = {}) {
+  if (!storyId) throw new Error("storyId is required");
+  const allowed = storyActionRules[action];
+  if (!allowed) throw new Error(`Unknown story action: ${action}`);
+  const current = await callZenTao({ path: `stories/${storyId}` });
+  const status = String(current.data?.status || "")
+    .trim()
+    .toLowerCase();
+  if (!allowed.includes(status)) {
+    throw new Error(
+      `Cannot ${action} story ${storyId}: status is "${status || "unknown"}", expected ${allowed.join(" or ")}`
+    );
+  }
+  const response = await callZenTao({
+    path: `stories/${storyId}/${action}`,
+    method: "POST",
+    body,
+  });
+  return { storyId, action, previousStatus: status, response };
+}
+
+const caseResults = ["pass", "fail", "blocked"];
+
+function normalizeCaseSteps(steps) {
+  const list = Array.isArray(steps) ? steps : Object.values(steps || {});
+  return list.map((step, index) => ({
+    id: step.id,
+    index: index + 1,
+    desc: step.desc || step.step || "",
+    expect: step.expect || "",
+  }));
+}
+
+/**
+ * Turn a natural-language step list into case steps. Each non-empty line is
+ * one step; text after "->", "=>" or "期望:"/"expect:" is its expected result.
+ */
+function parseCaseStepsText(text = "") {
+  return String(text)
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^\s*(?:[-*+]|\d+[.)、])\s*/, "").trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [desc, ...expect] = line.split(/\s*(?:->|=>|期望[:：]|expect(?:ed)?[:：])\s*/i);
+      return { desc, expect: expect.join(" ") };
+    });
+}
+
+async function listCases({ productId, moduleId, status, keyword, limit = 50 }) {
+  if (!productId) throw new Error("productId is required");
+  const statusLower = status ? String(status).trim().toLowerCase() : null;
+  const { items } = await fetchAllPages({
+    path: `products/${productId}/cases`,
+    query: { module: moduleId },
+    keys: ["testcases", "cases"],
+    limit,
+    filter: (testcase) => {
+      const matchModule = moduleId ? String(testcase.module) === String(moduleId) : true;
+      const matchKeyword = keyword
+        ? `${testcase.title || ""}`.toLowerCase().includes(keyword.toLowerCase())
+        : true;
+      const matchStatus = statusLower
+        ? `${testcase.status || ""}`.trim().toLowerCase() === statusLower
+        : true;
+      return matchModule && matchKeyword && matchStatus;
+    },
+  });
+  return items;
+}
+
+async function getCaseDetail(caseId) {
+  const res = await callZenTao({ path: `cases/${caseId}` });
+  const testcase = res.data || {};
+  return { ...testcase, steps: normalizeCaseSteps(testcase.steps) };
+}
+
+async function createCase(args) {
+  const { product, title, steps, stepsText } = args;
+  if (!product) throw new Error("product is required");
+  if (!title) throw new Error("title is required");
+  const body = {};
+  for (const field of ["product", "module", "story", "title", "type", "stage", "pri", "precondition", "keywords"]) {
+    if (args[field] !== undefined) body[field] = args[field];
+  }
+  if (!body.type) body.type = "feature";
+  body.steps = steps?.length ? steps : parseCaseStepsText(stepsText);
+  if (!body.steps.length) throw new Error("steps or stepsText is required");
+  const res = await callZenTao({ path: "cases", method: "POST", body });
+  return res.data;
+}
+
+function buildBugFromFailedCase(testcase, { run, testtask, stepResults = [] }) {
+  const lines = ["## Steps"];
+  testcase.steps.forEach((step, i) => {
+    const result = stepResults[i] || {};
+    lines.push("", `**Step ${step.index}**: ${step.desc}`);
+    if (step.expect) lines.push(`Expected: ${step.expect}`);
+    if (result.real) lines.push(`Actual: ${result.real}`);
+  });
+  if (testcase.precondition) lines.unshift(`## Precondition`, testcase.precondition, "");
+  return {
+    product: testcase.product,
+    module: testcase.module || undefined,
+    story: testcase.story || undefined,
+    title: `[Case #${testcase.id}] ${testcase.title} failed`,
+    steps: lines.join("\n"),
+    stepsFormat: "markdown",
+    case: testcase.id,
+    caseVersion: testcase.version,
+    testtask,
+    // Not a bug field; ZenTao links the bug to the run via case/testtask.
+    run,
+  };
+}
+
+async function recordCaseResult({ caseId, result, stepResults = [], run, testtask, version, fileBug = false }) {
+  if (!caseId) throw new Error("caseId is required");
+  if (!caseResults.includes(result)) {
+    throw new Error(`Invalid result "${result}", expected one of: ${caseResults.join(", ")}`);
+  }
+  const testcase = await getCaseDetail(caseId);
+  const steps = {};
+  const reals = {};
+  testcase.steps.forEach((step, i) => {
+    const key = step.id ?? step.index;
+    steps[key] = stepResults[i]?.result || result;
+    if (stepResults[i]?.real) reals[key] = stepResults[i].real;
+  });
+  const response = await callZenTao({
+    path: `cases/${caseId}/results`,
+    method: "POST",
+    body: {
+      run,
+      version: version ?? testcase.version,
+      caseResult: result,
+      steps,
+      reals,
+    },
+  });
+  const output = { caseId, result, response: response.data };
+  if (result === "fail") {
+    output.suggestedBug = buildBugFromFailedCase(testcase, { run, testtask, stepResults });
+    if (fileBug) output.bug = (await createBug(output.suggestedBug)).bug;
+  }
+  return output;
+}
+
+const bugBrowseTypes = {
+  all: () => true,
+  assigntome: (bug) => isAssignedToMe(bug),
+  openedbyme: (bug) => isMe(bug.openedBy),
+  resolvedbyme: (bug) => isMe(bug.resolvedBy),
+  unconfirmed: (bug) => bugStatusOf(bug) === "active" && String(bug.confirmed) !== "1",
+  unresolved: (bug) => bugStatusOf(bug) === "active",
+  toclosed: (bug) => bugStatusOf(bug) === "resolved",
+  unclosed: (bug) => bugStatusOf(bug) !== "closed",
+};
+
+function isMe(value) {
+  const accountLower = (currentProfile().account || "").trim().toLowerCase();
+  return Boolean(accountLower) && normalizeAccount(value).includes(accountLower);
+}
+
+function parseZenTaoDate(value) {
+  if (!value || String(value).startsWith("0000")) return null;
+  // ZenTao dates are local; new Date("YYYY-MM-DD") alone would mean UTC midnight.
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (day) return new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+  const date = new Date(String(value).replace(" ", "T"));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Accepts an ISO date/time or a relative keyword: today, yesterday,
+ * thisweek, lastweek, thismonth, lastmonth or "<N>d" (N days ago).
+ * Lower bounds are the start of the day or period, upper bounds its end.
+ */
+function parseDateBound(value, { upper = false } = {}) {
+  if (!value) return null;
+  const now = new Date();
+  const day = (offset) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+  const mondayOffset = -((now.getDay() + 6) % 7);
+  const keyword = String(value).trim().toLowerCase();
+  // [start, end) of each relative period, in local time.
+  const periods = {
+    today: [day(0), day(1)],
+    yesterday: [day(-1), day(0)],
+    thisweek: [day(mondayOffset), day(mondayOffset + 7)],
+    lastweek: [day(mondayOffset - 7), day(mondayOffset)],
+    thismonth: [new Date(now.getFullYear(), now.getMonth(), 1), new Date(now.getFullYear(), now.getMonth() + 1, 1)],
+    lastmonth: [new Date(now.getFullYear(), now.getMonth() - 1, 1), new Date(now.getFullYear(), now.getMonth(), 1)],
+  };
+  const days = /^(\d+)d$/.exec(keyword);
+  const period = days ? [day(-Number(days[1])), day(1 - Number(days[1]))] : periods[keyword];
+  if (period) return upper ? new Date(period[1].getTime() - 1) : period[0];
+  const date = parseZenTaoDate(value);
+  if (!date) throw new Error(`Invalid date "${value}"`);
+  if (upper && /^\d{4}-\d{2}-\d{2}$/.test(keyword)) date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+function inDateRange(value, since, until) {
+  if (!since && !until) return true;
+  const date = parseZenTaoDate(value);
+  if (!date) return false;
+  return (!since || date >= since) && (!until || date <= until);
+}
+
+function toValueList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return [].concat(value).flatMap((v) => String(v).split(",")).map((v) => v.trim()).filter(Boolean);
+}
+
+async function searchBugs({
+  productId,
+  browseType = "all",
+  module,
+  severity,
+  pri,
+  build,
+  status,
+  assignedTo,
+  keyword,
+  openedSince,
+  openedUntil,
+  resolvedSince,
+  resolvedUntil,
+  limit = 50,
+  maxPages,
+}) {
+  await loadUserDirectory();
+  if (!productId) throw new Error("productId is required");
+  const browse = bugBrowseTypes[String(browseType).toLowerCase()];
+  if (!browse) {
+    throw new Error(
+      `Invalid browseType "${browseType}", expected one of: ${Object.keys(bugBrowseTypes).join(", ")}`
+    );
+  }
+  const modules = toValueList(module);
+  const severities = toValueList(severity);
+  const pris = toValueList(pri);
+  const builds = toValueList(build);
+  const statusLower = status ? String(status).trim().toLowerCase() : null;
+  const assigneeLower = assignedTo ? String(assignedTo).trim().toLowerCase() : null;
+  const opened = [parseDateBound(openedSince), parseDateBound(openedUntil, { upper: true })];
+  const resolved = [parseDateBound(resolvedSince), parseDateBound(resolvedUntil, { upper: true })];
+  // Sent for servers that filter natively; every criterion is re-checked
+  // below, so servers that ignore them still return correct results.
+  const serverQuery = {
+    status: browseType === "all" ? undefined : String(browseType).toLowerCase(),
+    module: modules.length === 1 ? modules[0] : undefined,
+    keywords: keyword,
+  };
+  const matchBug = (bug) =>
+    browse(bug) &&
+    (!modules.length || modules.includes(String(bug.module))) &&
+    (!severities.length || severities.includes(String(bug.severity))) &&
+    (!pris.length || pris.includes(String(bug.pri))) &&
+    (!builds.length ||
+      [...toValueList(bug.openedBuild), ...toValueList(bug.resolvedBuild)].some((b) =>
+        builds.includes(b)
+      )) &&
+    (!statusLower || bugStatusOf(bug) === statusLower) &&
+    (!assigneeLower || normalizeAccount(bug.assignedTo).includes(assigneeLower)) &&
+    (!keyword || `${bug.title || ""}`.toLowerCase().includes(keyword.toLowerCase())) &&
+    inDateRange(bug.openedDate, ...opened) &&
+    inDateRange(bug.resolvedDate, ...resolved);
+  const { items, total, pages, scanned } = await fetchAllPages({
+    path: `products/${productId}/bugs`,
+    query: serverQuery,
+    keys: ["bugs"],
+    filter: matchBug,
+    limit,
+    maxPages,
+  });
+  return { bugs: items, pagination: { total, pages, scanned } };
+}
+
+function compareWorkItems(a, b) {
+  // Missing priorities/deadlines ("0", "", "0000-00-00") sort last.
+  const priA = Number(a.pri) || Infinity;
+  const priB = Number(b.pri) || Infinity;
+  if (priA !== priB) return priA - priB;
+  const deadlineA = parseZenTaoDate(a.deadline)?.getTime() ?? Infinity;
+  const deadlineB = parseZenTaoDate(b.deadline)?.getTime() ?? Infinity;
+  if (deadlineA !== deadlineB) return deadlineA - deadlineB;
+  return Number(a.id) - Number(b.id);
+}
+
+async function collectMyWork({ includeCases = true } = {}) {
+  await loadUserDirectory();
+  const errors = [];
+  // One failing product or project should not hide the rest of the work.
+  const attempt = async (source, fn) => {
+    try {
+      return await fn();
+    } catch (err) {
+      errors.push({ source, error: err.message });
+      return [];
+    }
+  };
+  const products = await attempt("products", async () =>
+    (await fetchAllPages({ path: "products", keys: ["products"] })).items
+  );
+  const perProduct = await mapWithConcurrency(products, pageConcurrency, async (product) => {
+    const bugs = await attempt(`product ${product.id} bugs`, async () =>
+      (await searchBugs({ productId: product.id, browseType: "assigntome", limit: Infinity })).bugs
+    );
+    const stories = await attempt(`product ${product.id} stories`, async () =>
+      (await listStories({ productId: product.id, limit: Infinity })).filter(
+        (story) => isAssignedToMe(story) && `${story.status || ""}`.toLowerCase() !== "closed"
+      )
+    );
+    return {
+      bugs: bugs
+        .filter((bug) => bugStatusOf(bug) !== "closed")
+        .map((bug) => ({
+          id: bug.id,
+          title: bug.title,
+          status: bug.status,
+          severity: bug.severity,
+          pri: bug.pri,
+          deadline: bug.deadline,
+          product: { id: product.id, name: product.name },
+        })),
+      stories: stories.map((story) => ({
+        id: story.id,
+        title: story.title,
+        status: story.status,
+        stage: story.stage,
+        pri: story.pri,
+        product: { id: product.id, name: product.name },
+      })),
+    };
+  });
+  const tasks = await attempt("tasks", async () =>
+    (await listMyTasks({ limit: Infinity }))
+      .filter((task) => ["wait", "doing", "pause"].includes(`${task.status || ""}`.toLowerCase()))
+      .map((task) => ({
+        id: task.id,
+        title: task.name,
+        status: task.status,
+        pri: task.pri,
+        deadline: task.deadline,
+        left: task.left,
+        execution: { id: task.execution, name: task.executionName },
+      }))
+  );
+  const cases = includeCases ? await attempt("testtasks", collectMyPendingCases) : [];
+  const groups = {
+    bugs: perProduct.flatMap((p) => p.bugs).sort(compareWorkItems),
+    tasks: tasks.sort(compareWorkItems),
+    stories: perProduct.flatMap((p) => p.stories).sort(compareWorkItems),
+    cases: cases.sort(compareWorkItems),
+  };
+  const counts = Object.fromEntries(Object.entries(groups).map(([key, list]) => [key, list.length]));
+  return { account: currentProfile().account, counts, ...groups, errors };
+}
+
+async function collectMyPendingCases() {
+  const { items: projects } = await fetchAllPages({ path: "projects", keys: ["projects"] });
+  const testtasks = [];
+  for (const project of projects) {
+    const { items } = await fetchAllPages({
+      path: `projects/${project.id}/testtasks`,
+      keys: ["testtasks"],
+    });
+    testtasks.push(
+      ...items.filter((t) => !["done", "closed", "blocked"].includes(`${t.status || ""}`.toLowerCase()))
+    );
+  }
+  const perTask = await mapWithConcurrency(testtasks, pageConcurrency, async (testtask) => {
+    const res = await callZenTao({ path: `testtasks/${testtask.id}` });
+    const runs = extractArray(res.data, ["runs", "testcases", "cases"]);
+    return runs
+      .filter((run) => isAssignedToMe(run) && !run.lastRunResult)
+      .map((run) => ({
+        id: run.case || run.id,
+        run: run.case ? run.id : undefined,
+        title: run.title,
+        pri: run.pri,
+        deadline: testtask.end,
+        testtask: { id: testtask.id, name: testtask.name },
+      }));
+  });
+  return perTask.flat();
+}
+
+function accountLabel(value) {
+  if (value && typeof value === "object") {
+    return `${value.account || value.realname || value.name || value.id || ""}`;
+  }
+  return `${value ?? ""}`;
+}
+
+function formatDay(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function bucketOf(date, interval) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (interval === "week") day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return formatDay(day);
+}
+
+function countBy(items, keyOf) {
+  const counts = {};
+  for (const item of items) {
+    for (const key of [].concat(keyOf(item))) {
+      const label = key === undefined || key === null || key === "" ? "(none)" : String(key);
+      counts[label] = (counts[label] || 0) + 1;
+    }
+  }
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+}
+
+function markdownTable(headers, rows) {
+  const escape = (cell) => String(cell ?? "").replace(/\|/g, "\\|");
+  return [
+    `| ${headers.map(escape).join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(escape).join(" | ")} |`),
+  ].join("\n");
+}
+
+async function buildBugReport({ productId, projectId, since, until, interval = "week" }) {
+  if (!productId && !projectId) throw new Error("productId or projectId is required");
+  if (!["day", "week"].includes(interval)) {
+    throw new Error(`Invalid interval "${interval}", expected day or week`);
+  }
+  const sinceDate = parseDateBound(since);
+  const untilDate = parseDateBound(until, { upper: true });
+  const { items } = await fetchAllPages(
+    productId
+      ? { path: `products/${productId}/bugs`, keys: ["bugs"] }
+      : { path: `projects/${projectId}/bugs`, keys: ["bugs"] }
+  );
+  const opened = items.filter((bug) => inDateRange(bug.openedDate, sinceDate, untilDate));
+  const resolved = items.filter(
+    (bug) => parseZenTaoDate(bug.resolvedDate) && inDateRange(bug.resolvedDate, sinceDate, untilDate)
+  );
+  const breakdown = {
+    status: countBy(opened, (bug) => bugStatusOf(bug)),
+    severity: countBy(opened, (bug) => bug.severity),
+    pri: countBy(opened, (bug) => bug.pri),
+    module: countBy(opened, (bug) => bug.moduleName || bug.module),
+    assignedTo: countBy(opened, (bug) => accountLabel(bug.assignedTo)),
+    resolution: countBy(opened, (bug) => bug.resolution),
+    openedBuild: countBy(opened, (bug) => {
+      const builds = toValueList(bug.openedBuild);
+      return builds.length ? builds : [undefined];
+    }),
+  };
+  const trend = {};
+  const bucket = (key) => (trend[key] = trend[key] || { opened: 0, resolved: 0 });
+  opened.forEach((bug) => {
+    const date = parseZenTaoDate(bug.openedDate);
+    if (date) bucket(bucketOf(date, interval)).opened += 1;
+  });
+  resolved.forEach((bug) => {
+    bucket(bucketOf(parseZenTaoDate(bug.resolvedDate), interval)).resolved += 1;
+  });
+  const durations = resolved
+    .map((bug) => parseZenTaoDate(bug.resolvedDate) - parseZenTaoDate(bug.openedDate))
+    .filter((ms) => Number.isFinite(ms) && ms >= 0);
+  const averageHours = durations.length
+    ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length / 3600000
+    : null;
+  return {
+    scope: productId ? { productId } : { projectId },
+    range: {
+      since: sinceDate ? formatDay(sinceDate) : null,
+      until: untilDate ? formatDay(untilDate) : null,
+    },
+    totals: { scanned: items.length, opened: opened.length, resolved: resolved.length },
+    breakdown,
+    trend: {
+      interval,
+      buckets: Object.entries(trend)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([start, counts]) => ({ start, ...counts })),
+    },
+    timeToResolve: {
+      count: durations.length,
+      averageHours: averageHours === null ? null : Number(averageHours.toFixed(1)),
+      averageDays: averageHours === null ? null : Number((averageHours / 24).toFixed(2)),
+    },
+  };
+}
+
+function bugReportToMarkdown(report) {
+  const scope = report.scope.productId
+    ? `Product ${report.scope.productId}`
+    : `Project ${report.scope.projectId}`;
+  const range = `${report.range.since || "…"} ~ ${report.range.until || "…"}`;
+  const sections = [
+    `# Bug report: ${scope} (${range})`,
+    `Opened: ${report.totals.opened}, resolved: ${report.totals.resolved}, average time to resolve: ${
+      report.timeToResolve.averageDays ?? "-"
+    } days (${report.timeToResolve.count} bugs)`,
+    `## Trend by ${report.trend.interval}`,
+    markdownTable(
+      [report.trend.interval === "week" ? "Week of" : "Day", "Opened", "Resolved"],
+      report.trend.buckets.map((b) => [b.start, b.opened, b.resolved])
+    ),
+  ];
+  for (const [dimension, counts] of Object.entries(report.breakdown)) {
+    sections.push(`## By ${dimension}`, markdownTable([dimension, "Bugs"], Object.entries(counts)));
+  }
+  return sections.join("\n\n");
+}
+
+const closedTaskStatuses = ["done", "closed", "cancel"];
+// Stories in these stages (or closed) count as completed for an execution.
+const completedStoryStages = ["tested", "verified", "released", "closed"];
+
+function isTaskOverdue(task, today = parseDateBound("today")) {
+  const deadline = parseZenTaoDate(task.deadline);
+  return Boolean(deadline) && !closedTaskStatuses.includes(task.status) && deadline < today;
+}
+
+function summarizeTask(task) {
+  return {
+    id: task.id,
+    name: task.name,
+    status: task.status,
+    pri: task.pri,
+    assignedTo: accountLabel(task.assignedTo),
+    estimate: Number(task.estimate) || 0,
+    consumed: Number(task.consumed) || 0,
+    left: Number(task.left) || 0,
+    deadline: task.deadline,
+  };
+}
+
+function workingDaysBetween(from, to) {
+  // Weekdays in [from, to); ZenTao's own burndown skips weekends the same way.
+  const days = [];
+  for (const day = new Date(from); day < to; day.setDate(day.getDate() + 1)) {
+    if (day.getDay() !== 0 && day.getDay() !== 6) days.push(new Date(day));
+  }
+  return days;
+}
+
+async function fetchExecution(executionId) {
+  const res = await callZenTao({ path: `executions/${executionId}` });
+  if (!res.data || !res.data.id) throw new Error(`Execution ${executionId} not found`);
+  return res.data;
+}
+
+async function fetchExecutionBugs(execution) {
+  // There is no /executions/{id}/bugs endpoint; filter the project's bugs instead.
+  if (!execution.project) return [];
+  const { items } = await fetchAllPages({
+    path: `projects/${execution.project}/bugs`,
+    keys: ["bugs"],
+    filter: (bug) => String(bug.execution) === String(execution.id),
+  });
+  return items;
+}
+
+async function getExecutionDetail({ executionId, include = ["tasks", "stories", "bugs"] }) {
+  const execution = await fetchExecution(executionId);
+  const [tasks, stories, bugs] = await Promise.all([
+    include.includes("tasks") ? fetchExecutionTasks(executionId) : null,
+    include.includes("stories") ? listStories({ executionId, limit: Infinity }) : null,
+    include.includes("bugs") ? fetchExecutionBugs(execution) : null,
+  ]);
+  return {
+    execution,
+    ...(tasks && { tasks: tasks.map(summarizeTask) }),
+    ...(stories && {
+      stories: stories.map((story) => ({
+        id: story.id,
+        title: story.title,
+        status: story.status,
+        stage: story.stage,
+        pri: story.pri,
+        estimate: story.estimate,
+        assignedTo: accountLabel(story.assignedTo),
+      })),
+    }),
+    ...(bugs && { bugs: bugs.map(summarizeBug) }),
+  };
+}
+
+async function buildExecutionReport({ executionId, hoursPerDay = 6 }) {
+  const execution = await fetchExecution(executionId);
+  const [allTasks, stories, bugs] = await Promise.all([
+    fetchExecutionTasks(executionId),
+    listStories({ executionId, limit: Infinity }),
+    fetchExecutionBugs(execution),
+  ]);
+  // Parent tasks roll up their children's hours; count only the leaves.
+  const parents = new Set(allTasks.filter((task) => task.children?.length).map((task) => task.id));
+  const tasks = allTasks.filter((task) => !parents.has(task.id) && task.status !== "cancel");
+  const open = tasks.filter((task) => !closedTaskStatuses.includes(task.status));
+  const sum = (list, field) => Number(list.reduce((total, item) => total + (Number(item[field]) || 0), 0).toFixed(1));
+  const estimate = sum(tasks, "estimate");
+  const consumed = sum(tasks, "consumed");
+  const left = sum(open, "left");
+
+  const today = parseDateBound("today");
+  const begin = parseZenTaoDate(execution.begin);
+  const end = parseZenTaoDate(execution.end);
+  let schedule = null;
+  if (begin && end) {
+    const afterEnd = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+    const days = workingDaysBetween(begin, afterEnd);
+    const elapsed = days.filter((day) => day < today).length;
+    const remaining = days.length - elapsed;
+    const idealLeft = days.length ? Number(((estimate * remaining) / days.length).toFixed(1)) : 0;
+    // Project the finish date from the burn rate so far (hours consumed per working day).
+    const rate = elapsed ? consumed / elapsed : 0;
+    let projectedEnd = null;
+    if (!left) projectedEnd = formatDay(today);
+    else if (rate) {
+      const finish = new Date(today);
+      for (let needed = Math.ceil(left / rate); needed > 0; ) {
+        finish.setDate(finish.getDate() + 1);
+        if (finish.getDay() !== 0 && finish.getDay() !== 6) needed -= 1;
+      }
+      projectedEnd = formatDay(finish);
+    }
+    schedule = {
+      begin: formatDay(begin),
+      end: formatDay(end),
+      today: formatDay(today),
+      workingDays: days.length,
+      workingDaysElapsed: elapsed,
+      workingDaysLeft: remaining,
+      idealLeft,
+      variance: Number((left - idealLeft).toFixed(1)),
+      projectedEnd,
+      onTrack: left <= idealLeft || (projectedEnd !== null && projectedEnd <= formatDay(end)),
+      ideal: days.map((day, index) => ({
+        date: formatDay(day),
+        left: Number(((estimate * (days.length - index)) / days.length).toFixed(1)),
+      })),
+    };
+  }
+
+  const members = {};
+  for (const task of tasks) {
+    const account = accountLabel(task.assignedTo) || "(unassigned)";
+    const member = (members[account] = members[account] || { openTasks: 0, overdue: 0, consumed: 0, left: 0 });
+    member.consumed += Number(task.consumed) || 0;
+    if (closedTaskStatuses.includes(task.status)) continue;
+    member.openTasks += 1;
+    member.left += Number(task.left) || 0;
+    if (isTaskOverdue(task, today)) member.overdue += 1;
+  }
+  const load = Object.entries(members)
+    .map(([account, member]) => {
+      const row = { account, ...member, left: Number(member.left.toFixed(1)) };
+      if (schedule) {
+        row.capacity = schedule.workingDaysLeft * hoursPerDay;
+        row.overloaded = row.left > row.capacity;
+      }
+      return row;
+    })
+    .sort((a, b) => b.left - a.left);
+
+  const completed = stories.filter(
+    (story) => story.status === "closed" || completedStoryStages.includes(story.stage)
+  );
+  const activeBugs = bugs.filter((bug) => bugStatusOf(bug) === "active");
+  return {
+    execution: { id: execution.id, name: execution.name, status: execution.status, project: execution.project },
+    hours: {
+      estimate,
+      consumed,
+      left,
+      progress: consumed + left ? Math.round((consumed / (consumed + left)) * 100) : 0,
+    },
+    burndown: schedule,
+    tasks: {
+      total: tasks.length,
+      byStatus: countBy(tasks, (task) => task.status),
+      overdue: open.filter((task) => isTaskOverdue(task, today)).map(summarizeTask),
+    },
+    load,
+    stories: {
+      total: stories.length,
+      completed: completed.length,
+      completion: stories.length ? Math.round((completed.length / stories.length) * 100) : 0,
+      byStage: countBy(stories, (story) => story.stage),
+    },
+    bugs: {
+      total: bugs.length,
+      active: activeBugs.length,
+      activeBySeverity: countBy(activeBugs, (bug) => bug.severity),
+    },
+  };
+}
+
+function executionReportToMarkdown(report) {
+  const { execution, hours, burndown, tasks, stories, bugs } = report;
+  const sections = [
+    `# Execution ${execution.id}: ${execution.name || ""} (${execution.status || "-"})`,
+    `Hours: ${hours.consumed} consumed, ${hours.left} left of ${hours.estimate} estimated (${hours.progress}% done). Stories: ${stories.completed}/${stories.total} completed (${stories.completion}%). Active bugs: ${bugs.active}.`,
+  ];
+  if (burndown) {
+    sections.push(
+      `## Burndown`,
+      `${burndown.begin} ~ ${burndown.end}, ${burndown.workingDaysLeft} of ${burndown.workingDays} working days left. ` +
+        `Ideal hours left today: ${burndown.idealLeft}, actual: ${hours.left} (${burndown.variance > 0 ? "+" : ""}${burndown.variance}). ` +
+        `Projected finish: ${burndown.projectedEnd || "-"}. ${burndown.onTrack ? "On track." : "Behind schedule."}`
+    );
+  }
+  sections.push(
+    `## Load`,
+    markdownTable(
+      ["Member", "Open tasks", "Overdue", "Consumed", "Left", ...(burndown ? ["Capacity"] : [])],
+      report.load.map((m) => [m.account, m.openTasks, m.overdue, m.consumed, m.left, ...(burndown ? [m.capacity] : [])])
+    )
+  );
+  if (tasks.overdue.length) {
+    sections.push(
+      `## Overdue tasks`,
+      markdownTable(
+        ["ID", "Task", "Assigned to", "Deadline", "Left"],
+        tasks.overdue.map((t) => [t.id, t.name, t.assignedTo, t.deadline, t.left])
+      )
+    );
+  }
+  return sections.join("\n\n");
+}
+
+async function resolveLinkedObjects(type, value) {
+  // Releases and builds store links either as objects or as "1,2,3" IDs.
+  const list = Array.isArray(value) ? value : toValueList(value);
+  const ids = list.filter((item) => typeof item !== "object" && Number(item) > 0);
+  const objects = list.filter((item) => item && typeof item === "object");
+  const fetched = await mapWithConcurrency(ids, pageConcurrency, async (id) => {
+    const res = await callZenTao({ path: `${type}/${id}` });
+    return res.data;
+  });
+  return [...objects, ...fetched.filter(Boolean)];
+}
+
+function releaseItem(item, contributors, moduleNames) {
+  const moduleId = Number(item.module) || 0;
+  return {
+    id: item.id,
+    title: item.title,
+    module:
+      item.moduleName ||
+      item.moduleTitle ||
+      moduleNames.get(String(moduleId)) ||
+      (moduleId ? `Module #${moduleId}` : "General"),
+    contributors: [...new Set(contributors.map(accountLabel).filter((a) => a && a !== "closed"))],
+  };
+}
+
+// Module ID -> "Parent/Child" for the products of items whose response has no module name.
+async function loadModuleNames(productId, items) {
+  const names = new Map();
+  const unnamed = items.filter((item) => Number(item.module) && !item.moduleName && !item.moduleTitle);
+  if (!unnamed.length) return names;
+  const productIds = new Set(
+    [productId, ...unnamed.map((item) => item.product?.id ?? item.product)].filter(Boolean).map(String)
+  );
+  for (const id of productIds) {
+    for (const module of await loadDirectory("module", { productId: id }).catch(() => [])) {
+      names.set(String(module.id), module.fullName);
+    }
+  }
+  return names;
+}
+
+function groupByModule(items) {
+  const groups = {};
+  for (const item of items) (groups[item.module] = groups[item.module] || []).push(item);
+  return groups;
+}
+
+async function collectReleaseContent({ productId, releaseId, buildId, planId }) {
+  let source;
+  let stories;
+  let bugs;
+  if (releaseId) {
+    if (!productId) throw new Error("productId is required with releaseId");
+    const { items } = await fetchAllPages({
+      path: `products/${productId}/releases`,
+      keys: ["releases"],
+    });
+    const release = items.find((r) => String(r.id) === String(releaseId));
+    if (!release) throw new Error(`Release ${releaseId} not found in product ${productId}`);
+    source = { type: "release", id: release.id, name: release.name, date: release.date };
+    stories = await resolveLinkedObjects("stories", release.stories);
+    bugs = await resolveLinkedObjects("bugs", release.bugs);
+  } else if (buildId) {
+    const build = (await callZenTao({ path: `builds/${buildId}` })).data || {};
+    source = { type: "build", id: build.id || buildId, name: build.name, date: build.date };
+    stories = await resolveLinkedObjects("stories", build.stories);
+    bugs = await resolveLinkedObjects("bugs", build.bugs);
+  } else if (planId) {
+    const [plan, planStories, planBugs] = await Promise.all([
+      callZenTao({ path: `productplans/${planId}` }),
+      fetchAllPages({ path: `productplans/${planId}/stories`, keys: ["stories"] }),
+      fetchAllPages({ path: `productplans/${planId}/bugs`, keys: ["bugs"] }),
+    ]);
+    source = { type: "plan", id: plan.data?.id || planId, name: plan.data?.title, date: plan.data?.end };
+    stories = planStories.items;
+    bugs = planBugs.items;
+  } else {
+    throw new Error("releaseId, buildId or planId is required");
+  }
+  const fixed = bugs.filter((bug) => ["resolved", "closed"].includes(bugStatusOf(bug)));
+  const moduleNames = await loadModuleNames(productId, [...stories, ...fixed]);
+  const storyItems = stories.map((story) => releaseItem(story, [story.assignedTo, story.openedBy], moduleNames));
+  const bugItems = fixed.map((bug) => releaseItem(bug, [bug.resolvedBy], moduleNames));
+  return {
+    productId,
+    source,
+    stories: groupByModule(storyItems),
+    bugs: groupByModule(bugItems),
+    unresolvedBugs: bugs.filter((bug) => !fixed.includes(bug)).map((bug) => bug.id),
+    contributors: [...new Set([...storyItems, ...bugItems].flatMap((item) => item.contributors))].sort(),
+    counts: { stories: storyItems.length, bugs: bugItems.length },
+  };
+}
+
+function releaseNotesToMarkdown(notes) {
+  const { source } = notes;
+  const heading = [source.name || `${source.type} ${source.id}`, source.date ? `(${source.date})` : ""]
+    .filter(Boolean)
+    .join(" ");
+  const section = (title, groups) => {
+    const lines = [`## ${title}`];
+    const modules = Object.keys(groups).sort();
+    if (!modules.length) lines.push("", "_None_");
+    for (const module of modules) {
+      lines.push("", `### ${module}`, "");
+      for (const item of groups[module]) {
+        const by = item.contributors.length ? ` (${item.contributors.map((c) => `@${c}`).join(", ")})` : "";
+        lines.push(`- #${item.id} ${item.title}${by}`);
+      }
+    }
+    return lines.join("\n");
+  };
+  return [
+    `# Release notes: ${heading}`,
+    section("Stories", notes.stories),
+    section("Bug fixes", notes.bugs),
+    `## Contributors\n\n${notes.contributors.join(", ") || "_None_"}`,
+  ].join("\n\n");
+}
+
+const objectPaths = { bug: "bugs", task: "tasks", story: "stories", case: "cases" };
+
+function objectPath(objectType, objectId) {
+  const base = objectPaths[objectType];
+  if (!base) {
+    throw new Error(
+      `Unsupported object type "${objectType}", expected one of: ${Object.keys(objectPaths).join(", ")}`
+    );
+  }
+  if (!objectId) throw new Error("objectId is required");
+  return `${base}/${objectId}`;
+}
+
+function htmlToText(html) {
+  return String(html ?? "")
+    .replace(/<br\s*\/?>|<\/p>|<\/li>|<\/div>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function normalizeAction(action) {
+  const history = Array.isArray(action.history) ? action.history : Object.values(action.history || {});
+  return {
+    id: action.id,
+    date: action.date,
+    actor: accountLabel(action.actor),
+    action: action.action,
+    extra: action.extra || undefined,
+    comment: htmlToText(action.comment) || undefined,
+    changes: history.map((change) => ({
+      field: change.field,
+      from: change.old,
+      to: change.new,
+    })),
+  };
+}
+
+// Object details embed their action log as `actions` (older servers: `history`).
+async function getObjectHistory({ objectType, objectId, action, field }) {
+  const res = await callZenTao({ path: objectPath(objectType, objectId) });
+  const raw = res.data?.actions ?? res.data?.history ?? [];
+  const actionFilter = toValueList(action).map((a) => a.toLowerCase());
+  const entries = (Array.isArray(raw) ? raw : Object.values(raw))
+    .map(normalizeAction)
+    .filter((entry) => !actionFilter.length || actionFilter.includes(String(entry.action).toLowerCase()))
+    .filter((entry) => !field || entry.changes.some((change) => change.field === field))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)) || Number(a.id) - Number(b.id));
+  return {
+    objectType,
+    objectId,
+    title: res.data?.title ?? res.data?.name,
+    status: res.data?.status,
+    counts: countBy(entries, (entry) => entry.action),
+    history: entries,
+  };
+}
+
+/**
+ * My actions in ZenTao since a date, read from the history of my open work
+ * and of the bugs I resolved and tasks I finished since then, so work done
+ * in the web UI counts as well as writes made through this server.
+ */
+async function collectMyActivity({ since, work }) {
+  const sinceDate = parseDateBound(since);
+  const errors = [];
+  const attempt = async (source, fn) => {
+    try {
+      return await fn();
+    } catch (err) {
+      errors.push({ source, error: err.message });
+      return [];
+    }
+  };
+  const products = await attempt("products", async () =>
+    (await fetchAllPages({ path: "products", keys: ["products"] })).items
+  );
+  const resolvedBugs = await mapWithConcurrency(products, pageConcurrency, (product) =>
+    attempt(`product ${product.id} bugs`, async () =>
+      (await searchBugs({ productId: product.id, browseType: "resolvedbyme", resolvedSince: since, limit: Infinity })).bugs
+    )
+  );
+  const finishedTasks = await attempt("tasks", () =>
+    listMyTasks(
+      { limit: Infinity },
+      { match: (task) => isMe(task.finishedBy) && inDateRange(task.finishedDate, sinceDate) }
+    )
+  );
+  const items = new Map();
+  const add = (objectType, list) => {
+    for (const { id } of list) items.set(`${objectType} ${id}`, { objectType, objectId: id });
+  };
+  add("bug", [...work.bugs, ...resolvedBugs.flat()]);
+  add("task", [...work.tasks, ...finishedTasks]);
+  add("story", work.stories);
+  const perItem = await mapWithConcurrency([...items.values()], pageConcurrency, (item) =>
+    attempt(`${item.objectType} ${item.objectId}`, async () => {
+      const { title, history } = await getObjectHistory(item);
+      return history
+        .filter((entry) => isMe(entry.actor) && inDateRange(entry.date, sinceDate))
+        .map(({ date, action, extra, comment, changes }) => ({
+          ...item,
+          title,
+          date,
+          action,
+          extra,
+          comment,
+          fields: changes.length ? changes.map((change) => change.field) : undefined,
+        }));
+    })
+  );
+  const actions = perItem.flat().sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  return { actions, errors };
+}
+
+async function addComment(objectType, objectId, comment) {
+  if (!comment) throw new Error("comment is required");
+  // An edit carrying only a comment is recorded in the object's history without changing fields.
+  return callZenTao({ path: objectPath(objectType, objectId), method: "PUT", body: { comment } });
+}
+
+// Commit message references such as "bug #123", "task#45 [2h]" or "story 78".
+// A custom pattern must capture `type` and `id`, and may capture `hours`.
+const defaultCommitPattern =
+  "\\b(?<type>bug|task|story)\\s*#?\\s*(?<id>\\d+)(?:\\s*\\[?(?<hours>\\d+(?:\\.\\d+)?)\\s*h\\]?)?";
+const commitPattern = setting("ZENTAO_COMMIT_PATTERN") || defaultCommitPattern;
+const referenceTypes = { bug: "bugs", task: "tasks", story: "stories" };
+
+async function readGitCommits(repoPath, range, maxCommits) {
+  if (!repoPath) throw new Error("repoPath is required");
+  // A bare ref would walk the whole history and touch every bug ever referenced.
+  if (!range || range.startsWith("-") || !range.includes("..")) {
+    throw new Error(`Invalid commit range "${range || ""}", expected A..B (e.g. v1.2.0..HEAD)`);
+  }
+  const { stdout } = await promisify(execFile)(
+    "git",
+    [
+      "-C",
+      localPath(repoPath, { notFound: "Repository not found" }),
+      "log",
+      `-n${maxCommits + 1}`,
+      "--format=%H%x1f%an%x1f%aI%x1f%B%x1e",
+      range,
+    ],
+    { maxBuffer: 32 * 1024 * 1024 }
+  );
+  const commits = stdout
+    .split("\x1e")
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [hash, author, date, message = ""] = record.split("\x1f");
+      return { hash, author, date, message: message.trim() };
+    });
+  if (commits.length > maxCommits) {
+    throw new Error(`Range ${range} has more than ${maxCommits} commits; narrow it or raise maxCommits`);
+  }
+  return commits;
+}
+
+function findCommitReferences(commits, pattern = commitPattern) {
+  let regex;
+  try {
+    regex = new RegExp(pattern, "gi");
+  } catch (err) {
+    throw new Error(`Invalid commit pattern: ${err.message}`);
+  }
+  const items = new Map();
+  for (const commit of commits) {
+    for (const match of commit.message.matchAll(regex)) {
+      const groups = match.groups || {};
+      const type = String(groups.type || "").toLowerCase();
+      const id = Number(groups.id);
+      if (!referenceTypes[type] || !id) continue;
+      const key = `${type}#${id}`;
+      const item = items.get(key) || { type, id, commits: [], hours: 0 };
+      if (!item.commits.some((c) => c.hash === commit.hash)) item.commits.push(commit);
+      item.hours += Number(groups.hours) || 0;
+      items.set(key, item);
+    }
+  }
+  return [...items.values()];
+}
+
+function commitSummary(commits) {
+  return commits
+    .map((c) => `${c.hash.slice(0, 10)} ${c.message.split("\n")[0]} (${c.author})`)
+    .join("\n");
+}
+
+/**
+ * Apply the ZenTao references found in a commit range: comment on each item,
+ * optionally resolve active bugs and log the `[Nh]` effort noted on tasks.
+ * Commits are read newest first, so the first commit is the one used to resolve.
+ */
+async function linkGitCommits({
+  repoPath,
+  range,
+  pattern,
+  comment = true,
+  resolveBugs = false,
+  resolvedBuild = "trunk",
+  logEffort = false,
+  maxCommits = 100,
+}) {
+  const commits = await readGitCommits(repoPath, range, maxCommits);
+  const items = findCommitReferences(commits, pattern || commitPattern);
+  const results = await mapWithConcurrency(items, pageConcurrency, async (item) => {
+    const text = `Referenced in ${item.commits.length > 1 ? "commits" : "commit"}:\n${commitSummary(item.commits)}`;
+    const actions = [];
+    const run = async (action, fn) => {
+      try {
+        actions.push({ action, ok: true, result: (await fn()).data });
+      } catch (err) {
+        actions.push({ action, ok: false, error: err.message });
+      }
+    };
+    let commented = false;
+    if (item.type === "bug" && resolveBugs) {
+      const latest = item.commits[0];
+      await run("resolve", async () => {
+        const { response } = await changeBugState(
+          item.id,
+          "resolve",
+          buildResolveBody({
+            bugId: item.id,
+            resolution: "fixed",
+            resolvedBuild,
+            comment: formatRichText(`Fixed in ${latest.hash}\n\n${text}`, "text"),
+          })
+        );
+        commented = true;
+        return response;
+      });
+    }
+    if (item.type === "task" && logEffort && item.hours) {
+      await run("logEffort", async () => {
+        const task = (await callZenTao({ path: `tasks/${item.id}` })).data || {};
+        return callZenTao({
+          path: `tasks/${item.id}/efforts`,
+          method: "POST",
+          body: {
+            date: today(),
+            consumed: item.hours,
+            left: Math.max(Number(task.left || 0) - item.hours, 0),
+            work: item.commits.map((c) => c.message.split("\n")[0]).join("; "),
+          },
+        });
+      });
+    }
+    if (comment && !commented) {
+      await run("comment", () => addComment(item.type, item.id, formatRichText(text, "text")));
+    }
+    return {
+      type: item.type,
+      id: item.id,
+      commits: item.commits.map((c) => c.hash),
+      hours: item.hours || undefined,
+      actions,
+    };
+  });
+  return { repoPath, range, commits: commits.length, items: results };
+}
+
+const endpointIndex = `ZenTao RESTful API v1 (api.php/v1)
+- Token: POST /tokens { account, password } -> { token }
+- Departments: GET /departments, GET /departments/{id}
+- Users: GET /users, GET /users/{id}, PUT /users/{id}, DELETE /users/{id}, POST /users
+- Program: GET /programs, POST /programs, PUT /programs/{id}, GET /programs/{id}, DELETE /programs/{id}
+- Products: GET /products, POST /products, GET /products/{id}, PUT /products/{id}, DELETE /products/{id}
+- Product Plans: GET /products/{productID}/plans, POST /products/{productID}/plans, GET/PUT/DELETE /productplans/{id}, relations: POST/DELETE /productplans/{id}/stories, /productplans/{id}/bugs
+- Releases: GET /products/{productID}/releases, GET /projects/{projectID}/releases
+- Stories (需求): GET /stories?product= /project= /execution=, POST /stories, GET/PUT/DELETE /stories/{id}, POST /stories/{id}/close
+- Projects: GET /projects, POST /projects, GET/PUT/DELETE /projects/{id}
+- Builds/Versions: GET /projects/{id}/builds, GET /executions/{id}/builds, POST /builds, GET/PUT/DELETE /builds/{id}
+- Executions: GET /projects/{id}/executions, POST /executions, GET/PUT/DELETE /executions/{id}
+- Tasks: GET /executions/{id}/tasks, POST /tasks, GET/PUT/DELETE /tasks/{id}, state: start/pause/continue/finish/close, logs: POST /tasks/{id}/efforts, GET /tasks/{id}/efforts
+- Bugs: GET /products/{id}/bugs, POST /bugs, GET/PUT/DELETE /bugs/{id}, state: confirm/close/activate/resolve
+- Cases: GET /products/{id}/cases, POST /cases, GET/PUT/DELETE /cases/{id}, POST /cases/{id}/results
+- Test Runs: GET /testsuites/{id}/runs, GET /projects/{id}/testtasks, GET /testtasks/{id}
+- Feedback: POST /feedback, PUT /feedback/{id}/assign, PUT /feedback/{id}/close, DELETE /feedback/{id}, PUT /feedback/{id}, GET /feedback/{id}, GET /feedback
+- Tickets: GET /tickets, GET /tickets/{id}, PUT /tickets/{id}, POST /tickets, DELETE /tickets/{id}
+
+Docs index: https://www.zentao.net/book/api.html (RESTful v1 section 2.x).`;
+
+function summarizeBug(bug) {
+  return {
+    id: bug.id,
+    title: bug.title,
+    status: bug.status,
+    severity: bug.severity,
+    pri: bug.pri,
+    module: bug.module,
+    assignedTo: bug.assignedTo,
+    openedDate: bug.openedDate,
+  };
+}
+
+const resourceTemplates = [
+  {
+    uriTemplate: "zentao://bug/{id}",
+    name: "Bug detail with step images",
+    mimeType: "application/json",
+    pattern: /^zentao:\/\/bug\/(\d+)$/,
+    read: async (id) => ({ bug: await getBugWithImages(id) }),
+  },
+  {
+    uriTemplate: "zentao://product/{id}/bugs",
+    name: "All bugs of a product (summary fields)",
+    mimeType: "application/json",
+    pattern: /^zentao:\/\/product\/(\d+)\/bugs$/,
+    read: async (id) => {
+      const { items, total } = await fetchAllPages({
+        path: "bugs",
+        query: { product: id },
+        keys: ["bugs"],
+      });
+      return { productId: Number(id), total, bugs: items.map(summarizeBug) };
+    },
+  },
+  {
+    uriTemplate: "zentao://project/{id}",
+    name: "Project detail",
+    mimeType: "application/json",
+    pattern: /^zentao:\/\/project\/(\d+)$/,
+    read: async (id) => ({ project: (await callZenTao({ path: `projects/${id}` })).data }),
+  },
+  {
+    uriTemplate: "zentao://story/{id}",
+    name: "Story detail with spec/verify images",
+    mimeType: "application/json",
+    pattern: /^zentao:\/\/story\/(\d+)$/,
+    read: async (id) => ({ story: await getStoryWithImages(id) }),
+  },
+  {
+    uriTemplate: "zentao://execution/{id}/tasks",
+    name: "Tasks of an execution",
+    mimeType: "application/json",
+    pattern: /^zentao:\/\/execution\/(\d+)\/tasks$/,
+    read: async (id) => ({ executionId: Number(id), tasks: await fetchExecutionTasks(id) }),
+  },
+];
+
+const listResources = async () => ({
+  resources: [
+    {
+      uri: "zentao://endpoints",
+      name: "ZenTao RESTful v1 endpoints summary",
+      mimeType: "text/plain",
+    },
+    {
+      uri: "zentao://config",
+      name: "Configured ZenTao profiles and their status (no secrets)",
+      mimeType: "text/plain",
+    },
+    {
+      uri: "zentao://projects",
+      name: "Projects related to current account",
+      mimeType: "application/json",
+    },
+    {
+      uri: "zentao://my-work",
+      name: "Everything assigned to me across products and executions",
+      mimeType: "application/json",
+    },
+    {
+      uri: "zentao://audit",
+      name: "Recent write requests from the audit log",
+      mimeType: "application/json",
+    },
+  ],
+});
+
+async function readResource(request) {
+  const { uri } = request.params;
+  if (uri === "zentao://endpoints") {
+    return {
+      contents: [
+        { uri, mimeType: "text/plain", text: endpointIndex },
+      ],
+    };
+  }
+  if (uri === "zentao://config") {
+    const pinned = requestContext.getStore()?.pinned;
+    const lines = [pinned ? `Profile: ${currentProfile().name}` : `Default profile: ${defaultProfileName}`];
+    for (const profile of pinned ? [currentProfile()] : profiles.values()) {
+      lines.push(
+        "",
+        `[${profile.name}] (source: ${profile.source})`,
+        `ZENTAO_BASE_URL: ${profile.baseUrl || "missing"}`,
+        `ZENTAO_ACCOUNT: ${profile.account ? "set" : "missing"}`,
+        `ZENTAO_PASSWORD: ${profile.password ? "set" : profile.passwordCommand ? "from ZENTAO_PASSWORD_CMD" : "missing"}`,
+        `ZENTAO_TOKEN: ${profile.cachedToken ? "set (cached)" : "not cached"}`
+      );
+    }
+    lines.push(
+      "",
+      `ZENTAO_CACHE_TTL: ${cacheTtl ? `${cacheTtl / 1000}s` : "off"} (${cacheEntries.size} entries in memory)`,
+      `ZENTAO_CACHE_DIR: ${cacheDir || "not set"}`
+    );
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "text/plain",
+          text: lines.join("\n"),
+        },
+      ],
+    };
+  }
+  if (uri === "zentao://projects") {
+    const projects = await listProjectsForAccount({ limit: 100 });
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify({ projects }, null, 2),
+        },
+      ],
+    };
+  }
+  if (uri === "zentao://my-work") {
+    const work = await collectMyWork();
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify(work, null, 2),
+        },
+      ],
+    };
+  }
+  if (uri === "zentao://audit") {
+    const entries = readAuditLog({ limit: 100 });
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify({ file: auditLogFile || null, entries }, null, 2),
+        },
+      ],
+    };
+  }
+  for (const template of resourceTemplates) {
+    const match = template.pattern.exec(uri);
+    if (!match) continue;
+    const data = await template.read(match[1]);
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: template.mimeType,
+          text: JSON.stringify(data, null, 2),
+        },
+      ],
+    };
+  }
+  throw new Error(`Unknown resource: ${uri}`);
+}
+
+const listResourceTemplates = async () => ({
+  resourceTemplates: resourceTemplates.map(({ uriTemplate, name, mimeType }) => ({
+    uriTemplate,
+    name,
+    mimeType,
+  })),
+});
+
+function jsonBlock(value) {
+  return ["```json", JSON.stringify(value, null, 2), "```"].join("\n");
+}
+
+// Prompt arguments are strings; IDs may also be names (see resolveArguments).
+const prompts = [
+  {
+    name: "triage-next-bug",
+    description: "Triage the next active bug assigned to me in a product, with its steps and history.",
+    arguments: [
+      { name: "productId", description: "Product ID or name", required: true },
+      { name: "keyword", description: "Only bugs whose title contains this" },
+    ],
+    build: async ({ productId, keyword }) => {
+      const { bugs } = await fetchBugsByProduct({ productId, keyword, status: "active", limit: 1 });
+      if (!bugs.length) {
+        return `No active bugs are assigned to ${currentProfile().account} in product ${productId}. Tell me so, and suggest getMyWork to look at other products.`;
+      }
+      const bug = await getBugWithImages(bugs[0].id);
+      const { history } = await getObjectHistory({ objectType: "bug", objectId: bug.id });
+      return [
+        `Triage ZenTao bug #${bug.id} "${bug.title}", the next bug assigned to me in product ${productId}.`,
+        "",
+        "1. Summarize the problem and how to reproduce it in two or three sentences.",
+        "2. Use the history to explain earlier resolutions, reactivations and reassignments.",
+        "3. Say whether severity and priority fit, and whether it may be a duplicate (searchBugs can check).",
+        "4. Recommend one next step (confirmBug, assignBug, resolveBug or asking the reporter for details) with exact tool arguments. Don't call write tools until I agree.",
+        "",
+        "Bug:",
+        jsonBlock({ ...summarizeBug(bug), openedBy: bug.openedBy, steps: htmlToText(bug.stepsHtml) }),
+        "",
+        "History (oldest first):",
+        jsonBlock(history),
+      ].join("\n");
+    },
+  },
+  {
+    name: "daily-standup",
+    description: "Write my daily standup from my open ZenTao work and my actions in ZenTao since a date.",
+    arguments: [{ name: "since", description: "Activity since (default yesterday; YYYY-MM-DD, today, 3d, ...)" }],
+    build: async ({ since = "yesterday" }) => {
+      const work = await collectMyWork({ includeCases: false });
+      const activity = await collectMyActivity({ since, work });
+      return [
+        `Write my daily standup (I am ${work.account}) with three short sections: Done since ${since}, Today, Blockers.`,
+        "",
+        "- Done: base it on my ZenTao actions below, taken from the history of my bugs, tasks and stories; group them by item and name each by ID and title.",
+        "- Today: pick the most urgent open items (priority, then deadline) from my work below.",
+        "- Blockers: list overdue or blocked items and anything paused; write \"None\" if there are none.",
+        "Keep it under 150 words and don't invent work that isn't listed.",
+        "",
+        `My actions since ${since}:`,
+        activity.actions.length ? jsonBlock(activity.actions.slice(-50)) : "_No actions found in ZenTao._",
+        ...(activity.errors.length ? ["", "Items whose history could not be read:", jsonBlock(activity.errors)] : []),
+        "",
+        "My open work:",
+        jsonBlock({
+          counts: work.counts,
+          bugs: work.bugs.slice(0, 15),
+          tasks: work.tasks.slice(0, 15),
+          stories: work.stories.slice(0, 10),
+        }),
+      ].join("\n");
+    },
+  },
+  {
+    name: "draft-bug-report",
+    description: "Draft a ZenTao bug report from an error log, checking the product's open bugs for duplicates.",
+    arguments: [
+      { name: "errorLog", description: "Error message, stack trace or log excerpt", required: true },
+      { name: "productId", description: "Product ID or name the bug belongs to" },
+    ],
+    build: async ({ errorLog, productId }) => {
+      const log = String(errorLog);
+      const lines = [
+        "Draft a ZenTao bug report from the error log below.",
+        "",
+        "- Write a specific title (what fails, where) under 80 characters.",
+        "- Write the steps in Markdown with the sections Environment, Steps to reproduce, Expected, Actual, and Log excerpt (only the relevant lines).",
+        "- Suggest severity (1-4), pri (1-4) and type (usually codeerror), and explain the choice in one sentence.",
+        "- Return the draft as createBug arguments and ask me before creating it.",
+      ];
+      if (productId) {
+        const [{ bugs }, modules] = await Promise.all([
+          searchBugs({ productId, browseType: "unclosed", limit: 50 }),
+          loadDirectory("module", { productId }).catch(() => []),
+        ]);
+        lines.push(
+          `- Use product ${productId}; pick the best matching module from the list, and name any open bug that looks like the same problem instead of drafting a duplicate.`,
+          "",
+          "Modules:",
+          jsonBlock(modules.map((module) => ({ id: module.id, name: module.fullName }))),
+          "",
+          "Open bugs:",
+          jsonBlock(bugs.map((bug) => ({ id: bug.id, title: bug.title, module: bug.module, status: bug.status })))
+        );
+      }
+      lines.push("", "Error log:", "```", log.length > 20000 ? `${log.slice(0, 20000)}\n[truncated]` : log, "```");
+      return lines.join("\n");
+    },
+  },
+  {
+    name: "execution-summary",
+    description: "Summarize the status of a sprint/execution: burndown, overdue work, member load and story completion.",
+    arguments: [{ name: "executionId", description: "Execution ID or name", required: true }],
+    build: async ({ executionId }) => {
+      const report = await buildExecutionReport({ executionId });
+      return [
+        `Summarize the status of execution #${report.execution.id} "${report.execution.name || ""}" for a sprint review.`,
+        "",
+        "- State whether it is on track, comparing hours left with the ideal burndown and the projected finish date.",
+        "- Call out overdue tasks, overloaded members and story completion.",
+        "- End with at most three concrete actions.",
+        "",
+        "Execution report:",
+        // The day-by-day ideal line adds little for the model.
+        jsonBlock({ ...report, burndown: report.burndown && { ...report.burndown, ideal: undefined } }),
+      ].join("\n");
+    },
+  },
+];
+
+// Tools that write to ZenTao; they accept `dryRun` to preview their requests.
+const mutatingTools = new Set([
+  "call",
+  "markBugResolved",
+  "createBug",
+  "updateBug",
+  "confirmBug",
+  "assignBug",
+  "resolveBug",
+  "activateBug",
+  "closeBug",
+  "createTask",
+  "startTask",
+  "pauseTask",
+  "continueTask",
+  "finishTask",
+  "closeTask",
+  "logTaskEffort",
+  "createStory",
+  "reviewStory",
+  "activateStory",
+  "closeStory",
+  "linkStoriesToPlan",
+  "createCase",
+  "recordCaseResult",
+  "linkGitCommits",
+  "addComment",
+  "batchBugs",
+]);
+
+function withCommonArguments(tool) {
+  const { inputSchema } = tool;
+  const properties = {
+    ...inputSchema.properties,
+    profile: {
+      type: "string",
+      description: `ZenTao profile name (defaults to "${defaultProfileName}")`,
+    },
+  };
+  for (const key of Object.keys(resolvableArguments)) {
+    const property = properties[key];
+    if (!property || tool.name === "call") continue;
+    const kind = resolvableArguments[key];
+    properties[key] = {
+      ...property,
+      ...(property.type === "number" ? { type: ["number", "string"] } : {}),
+      description: `${property.description} (${kind === "user" ? "account or real name" : "a name also works"})`,
+    };
+  }
+  if (mutatingTools.has(tool.name)) {
+    properties.dryRun = {
+      type: "boolean",
+      description: "Return the resolved method, URL and body of each write instead of sending it",
+      default: false,
+    };
+  }
+  return { ...tool, inputSchema: { ...inputSchema, properties } };
+}
+
+const listPrompts = async () => ({
+  prompts: prompts.map(({ name, description, arguments: promptArguments }) => ({
+    name,
+    description,
+    arguments: [
+      ...promptArguments,
+      { name: "profile", description: `ZenTao profile name (defaults to "${defaultProfileName}")` },
+    ],
+  })),
+});
+
+async function getPrompt(request, { profile: pinnedProfile } = {}) {
+  const { name, arguments: { profile, ...args } = {} } = request.params;
+  const prompt = prompts.find((candidate) => candidate.name === name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name}`);
+  for (const argument of prompt.arguments) {
+    if (argument.required && !args[argument.name]) throw new Error(`${argument.name} is required`);
+  }
+  return withRequestContext(sessionContext(pinnedProfile, profile, { tool: `prompt:${name}` }), async () => {
+    const text = await prompt.build(await resolveArguments(args));
+    return {
+      description: prompt.description,
+      messages: [{ role: "user", content: { type: "text", text } }],
+    };
+  });
+}
+
+const listTools = async () => ({
+  tools: [
+    {
+      name: "get_token",
+      description: "Fetch a token via POST /tokens using the profile's account/password. Caches in-memory per profile.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          forceRefresh: { type: "boolean", description: "Ignore cached token" },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "call",
+      description:
+        "Call any ZenTao RESTful API endpoint (api.php/v1). Automatically injects Token header. Paths accept leading slash or relative.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          path: { type: "string", description: "Relative path, e.g. /projects or projects/1" },
+          method: {
+            type: "string",
+            description: "HTTP verb",
+            enum: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+            default: "GET",
+          },
+          query: { type: "object", description: "Query params object", additionalProperties: true },
+          body: { type: "object", description: "JSON body", additionalProperties: true },
+          forceTokenRefresh: {
+            type: "boolean",
+            description: "Refresh token before request",
+          },
+        },
         required: ["path"],
         additionalProperties: false,
       },
     },
     {
-      name: "listMyProjects",
-      description: "List projects related to the current account (PM/PO/QD/RD/assigned/team).",
+      name: "listMyProjects",
+      description: "List projects related to the current account (PM/PO/QD/RD/assigned/team).",
+      inputSchema: {
+        type: "object",
+        properties: {
+          keyword: { type: "string", description: "Filter by project name keyword" },
+          limit: { type: "number", description: "Max items", default: 50 },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "searchProducts",
+      description: "Search products by keyword; returns a short list of products.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          keyword: { type: "string", description: "Keyword to match product name" },
+          limit: { type: "number", description: "Max items", default: 20 },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getMyBug",
+      description:
+        "Get the first active bug assigned to me in a product (by productName). Returns full bug detail.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productName: { type: "string", description: "Product name to match (required)" },
+          keyword: { type: "string", description: "Keyword filter on bug title" },
+          status: { type: "string", description: "Status filter (e.g., active)" },
+          allStatuses: {
+            type: "boolean",
+            description: "Include non-active bugs",
+            default: false,
+          },
+        },
+        required: ["productName"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getMyBugs",
+      description:
+        "List bugs assigned to me under a product. Defaults to active bugs only.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productId: { type: "number", description: "Product ID (required)" },
+          keyword: { type: "string", description: "Keyword filter on bug title" },
+          status: { type: "string", description: "Status filter (e.g., active)" },
+          allStatuses: {
+            type: "boolean",
+            description: "Include non-active bugs",
+            default: false,
+          },
+          limit: { type: "number", description: "Max items", default: 20 },
+          maxPages: { type: "number", description: "Stop after scanning this many pages" },
+        },
+        required: ["productId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getNextBug",
+      description:
+        "Get the next active bug assigned to me under a product (first match across all pages).",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productId: { type: "number", description: "Product ID (required)" },
+          keyword: { type: "string", description: "Keyword filter on bug title" },
+          status: {
+            type: "string",
+            description: "Status filter (active, resolved or closed)",
+            default: "active",
+          },
+          maxPages: { type: "number", description: "Stop after scanning this many pages" },
+        },
+        required: ["productId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getBugStats",
+      description:
+        "Get counts of bugs assigned to me under a product (total and active), scanning every page.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productId: { type: "number", description: "Product ID (required)" },
+          activeOnly: {
+            type: "boolean",
+            description: "If true, only active count is returned",
+            default: false,
+          },
+          maxPages: { type: "number", description: "Stop after scanning this many pages" },
+        },
+        required: ["productId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getBugDetail",
+      description:
+        "Get bug detail by ID; also extracts image URLs from steps HTML into stepsImages. With includeImages, downloads step screenshots and image attachments and returns them as image content.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bugId: { type: "number", description: "Bug ID (required)" },
+          includeImages: {
+            type: "boolean",
+            description: "Download step images and image attachments",
+            default: false,
+          },
+          includeAttachments: {
+            type: "boolean",
+            description: "With includeImages, also download image attachments",
+            default: true,
+          },
+          maxImages: { type: "number", description: "Max images to return", default: maxImages },
+        },
+        required: ["bugId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "markBugResolved",
+      description: "Mark a bug as resolved (resolution=fixed).",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bugId: { type: "number", description: "Bug ID (required)" },
+          comment: { type: "string", description: "Resolution comment" },
+        },
+        required: ["bugId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "createBug",
+      description:
+        "Create a bug. Steps accept Markdown, plain text or HTML; local files are uploaded as attachments.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          product: { type: "number", description: "Product ID (required)" },
+          title: { type: "string", description: "Bug title (required)" },
+          module: { type: "number", description: "Module ID" },
+          execution: { type: "number", description: "Execution ID" },
+          story: { type: "number", description: "Related story ID" },
+          openedBuild: {
+            type: "array",
+            items: { type: "string" },
+            description: "Affected build IDs, defaults to [\"trunk\"]",
+          },
+          severity: { type: "number", description: "Severity 1-4" },
+          pri: { type: "number", description: "Priority 1-4" },
+          type: { type: "string", description: "Bug type (e.g., codeerror, config, others)" },
+          steps: { type: "string", description: "Reproduction steps" },
+          stepsFormat: {
+            type: "string",
+            description: "Format of steps",
+            enum: ["markdown", "text", "html"],
+            default: "markdown",
+          },
+          assignedTo: { type: "string", description: "Account to assign to" },
+          deadline: { type: "string", description: "Deadline (YYYY-MM-DD)" },
+          keywords: { type: "string", description: "Keywords" },
+          case: { type: "number", description: "Test case ID the bug was found by" },
+          caseVersion: { type: "number", description: "Version of that test case" },
+          testtask: { type: "number", description: "Test task (test run) ID" },
+          files: {
+            type: "array",
+            items: { type: "string" },
+            description: "Local file paths (screenshots, logs) to attach",
+          },
+        },
+        required: ["product", "title"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "updateBug",
+      description:
+        "Patch individual bug fields; only provided fields are sent. Can also attach local files.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bugId: { type: "number", description: "Bug ID (required)" },
+          title: { type: "string", description: "Bug title" },
+          module: { type: "number", description: "Module ID" },
+          execution: { type: "number", description: "Execution ID" },
+          story: { type: "number", description: "Related story ID" },
+          openedBuild: {
+            type: "array",
+            items: { type: "string" },
+            description: "Affected build IDs",
+          },
+          severity: { type: "number", description: "Severity 1-4" },
+          pri: { type: "number", description: "Priority 1-4" },
+          type: { type: "string", description: "Bug type" },
+          steps: { type: "string", description: "Reproduction steps" },
+          stepsFormat: {
+            type: "string",
+            description: "Format of steps",
+            enum: ["markdown", "text", "html"],
+            default: "markdown",
+          },
+          assignedTo: { type: "string", description: "Account to assign to" },
+          deadline: { type: "string", description: "Deadline (YYYY-MM-DD)" },
+          keywords: { type: "string", description: "Keywords" },
+          files: {
+            type: "array",
+            items: { type: "string" },
+            description: "Local file paths to attach",
+          },
+        },
+        required: ["bugId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "confirmBug",
+      description:
+        "Confirm an active, unconfirmed bug. Optionally reassign and adjust type/pri.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bugId: { type: "number", description: "Bug ID (required)" },
+          assignedTo: { type: "string", description: "Account to assign to" },
+          type: { type: "string", description: "Bug type (e.g., codeerror)" },
+          pri: { type: "number", description: "Priority 1-4" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["bugId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "assignBug",
+      description: "Assign or reassign an active or resolved bug to an account.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bugId: { type: "number", description: "Bug ID (required)" },
+          assignedTo: { type: "string", description: "Account to assign to (required)" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["bugId", "assignedTo"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "resolveBug",
+      description:
+        "Resolve an active bug with any resolution. duplicateBug is required for resolution=duplicate.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bugId: { type: "number", description: "Bug ID (required)" },
+          resolution: {
+            type: "string",
+            description: "Resolution",
+            enum: bugResolutions,
+            default: "fixed",
+          },
+          resolvedBuild: {
+            type: "string",
+            description: "Build the fix landed in (build ID or \"trunk\")",
+          },
+          duplicateBug: { type: "number", description: "Original bug ID when duplicate" },
+          assignedTo: { type: "string", description: "Account to assign to after resolving" },
+          comment: { type: "string", description: "Resolution comment" },
+        },
+        required: ["bugId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "activateBug",
+      description: "Reactivate a resolved or closed bug.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bugId: { type: "number", description: "Bug ID (required)" },
+          assignedTo: { type: "string", description: "Account to assign to" },
+          openedBuild: { type: "string", description: "Build the bug reappeared in" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["bugId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "closeBug",
+      description: "Close a resolved bug.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          bugId: { type: "number", description: "Bug ID (required)" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["bugId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "batchBugs",
+      description:
+        "Apply one action (assign, resolve, close, confirm, edit or comment) to many bugs, given as IDs or as a searchBugs filter. Runs with bounded concurrency and reports success or error per bug instead of stopping at the first failure.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          action: { type: "string", enum: batchBugActions, description: "Action to apply to every bug" },
+          bugIds: { type: "array", items: { type: "number" }, description: "Bug IDs" },
+          filter: {
+            type: "object",
+            description:
+              "searchBugs arguments selecting the bugs when bugIds is not given, e.g. { productId, browseType, status, build, assignedTo }. Every match is processed (limit and maxPages are ignored); build accepts build IDs or names such as \"3.2\", and \"trunk\".",
+          },
+          maxBugs: {
+            type: "number",
+            description: "Process at most this many filter matches; the result then reports truncated: true and the full match count",
+          },
+          assignedTo: { type: "string", description: "Assignee (required for assign; optional for resolve/confirm)" },
+          resolution: {
+            type: "string",
+            enum: bugResolutions,
+            description: "Resolution for resolve",
+            default: "fixed",
+          },
+          resolvedBuild: { type: "string", description: "Resolved build for resolve" },
+          duplicateBug: { type: "number", description: "Duplicate bug ID when resolution=duplicate" },
+          fields: {
+            type: "object",
+            description:
+              "Bug fields to set (same as updateBug, e.g. { pri: 2, severity: 3 }); required for edit, also applied by assign and confirm",
+          },
+          comment: { type: "string", description: "Comment (required for comment)" },
+          commentFormat: {
+            type: "string",
+            description: "Comment format",
+            enum: ["markdown", "text", "html"],
+            default: "markdown",
+          },
+          concurrency: { type: "number", description: "Bugs processed in parallel", default: pageConcurrency },
+        },
+        required: ["action"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getMyTasks",
+      description:
+        "List tasks assigned to me across executions (or within one execution/project).",
+      inputSchema: {
+        type: "object",
+        properties: {
+          executionId: { type: "number", description: "Only this execution" },
+          projectId: { type: "number", description: "Only executions of this project" },
+          status: { type: "string", description: "Status filter (wait/doing/pause/done/...)" },
+          keyword: { type: "string", description: "Keyword filter on task name" },
+          includeClosedExecutions: {
+            type: "boolean",
+            description: "Also scan closed executions",
+            default: false,
+          },
+          limit: { type: "number", description: "Max items", default: 50 },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getTaskDetail",
+      description: "Get task detail by ID.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: { type: "number", description: "Task ID (required)" },
+        },
+        required: ["taskId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "createTask",
+      description: "Create a task in an execution. desc accepts Markdown, plain text or HTML.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          execution: { type: "number", description: "Execution ID (required)" },
+          name: { type: "string", description: "Task name (required)" },
+          type: { type: "string", description: "Task type (devel, test, design, ...)", default: "devel" },
+          module: { type: "number", description: "Module ID" },
+          story: { type: "number", description: "Related story ID" },
+          assignedTo: { type: "string", description: "Account to assign to" },
+          pri: { type: "number", description: "Priority 1-4" },
+          estimate: { type: "number", description: "Estimated hours" },
+          estStarted: { type: "string", description: "Planned start (YYYY-MM-DD)" },
+          deadline: { type: "string", description: "Deadline (YYYY-MM-DD)" },
+          desc: { type: "string", description: "Description" },
+          descFormat: {
+            type: "string",
+            description: "Format of desc",
+            enum: ["markdown", "text", "html"],
+            default: "markdown",
+          },
+        },
+        required: ["execution", "name"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "startTask",
+      description: "Start a waiting task.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: { type: "number", description: "Task ID (required)" },
+          consumed: { type: "number", description: "Hours consumed so far" },
+          left: { type: "number", description: "Hours left (required)" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["taskId", "left"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "pauseTask",
+      description: "Pause a task in progress.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: { type: "number", description: "Task ID (required)" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["taskId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "continueTask",
+      description: "Continue a paused task.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: { type: "number", description: "Task ID (required)" },
+          left: { type: "number", description: "Hours left" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["taskId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "finishTask",
+      description: "Finish a task, recording the hours consumed.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: { type: "number", description: "Task ID (required)" },
+          consumed: { type: "number", description: "Hours consumed in this step (required)" },
+          finishedDate: { type: "string", description: "Finish date (YYYY-MM-DD), defaults to today" },
+          assignedTo: { type: "string", description: "Account to hand the task to" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["taskId", "consumed"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "closeTask",
+      description: "Close a done or cancelled task.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: { type: "number", description: "Task ID (required)" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["taskId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "logTaskEffort",
+      description: "Log effort on a task via POST /tasks/{id}/efforts.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: { type: "number", description: "Task ID (required)" },
+          consumed: { type: "number", description: "Hours consumed (required)" },
+          left: { type: "number", description: "Hours left (required)" },
+          work: { type: "string", description: "Work description" },
+          date: { type: "string", description: "Date (YYYY-MM-DD), defaults to today" },
+        },
+        required: ["taskId", "consumed", "left"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getTaskEfforts",
+      description: "Read effort logs of a task via GET /tasks/{id}/efforts.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          taskId: { type: "number", description: "Task ID (required)" },
+        },
+        required: ["taskId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "listStories",
+      description:
+        "List stories (需求) of a product, project or execution. One of productId/projectId/executionId is required.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productId: { type: "number", description: "Product ID" },
+          projectId: { type: "number", description: "Project ID" },
+          executionId: { type: "number", description: "Execution ID" },
+          status: { type: "string", description: "Status filter (draft/active/closed/...)" },
+          keyword: { type: "string", description: "Keyword filter on story title" },
+          limit: { type: "number", description: "Max items", default: 50 },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getStoryDetail",
+      description:
+        "Get story detail by ID; also extracts image URLs from spec/verify HTML into specImages/verifyImages.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          storyId: { type: "number", description: "Story ID (required)" },
+        },
+        required: ["storyId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "createStory",
+      description:
+        "Create a story. spec/verify accept Markdown, plain text or HTML. Review is waived when no reviewer is given.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          product: { type: "number", description: "Product ID (required)" },
+          title: { type: "string", description: "Story title (required)" },
+          spec: { type: "string", description: "Story description" },
+          specFormat: {
+            type: "string",
+            description: "Format of spec",
+            enum: ["markdown", "text", "html"],
+            default: "markdown",
+          },
+          verify: { type: "string", description: "Acceptance criteria" },
+          verifyFormat: {
+            type: "string",
+            description: "Format of verify",
+            enum: ["markdown", "text", "html"],
+            default: "markdown",
+          },
+          module: { type: "number", description: "Module ID" },
+          plan: { type: "number", description: "Product plan ID" },
+          category: { type: "string", description: "Category (feature, interface, ...)" },
+          source: { type: "string", description: "Source (customer, po, ...)" },
+          pri: { type: "number", description: "Priority 1-4" },
+          estimate: { type: "number", description: "Estimate" },
+          reviewer: {
+            type: "array",
+            items: { type: "string" },
+            description: "Reviewer accounts",
+          },
+          needNotReview: {
+            type: "boolean",
+            description: "Skip review (defaults to true when no reviewer is given)",
+          },
+          assignedTo: { type: "string", description: "Account to assign to" },
+          keywords: { type: "string", description: "Keywords" },
+        },
+        required: ["product", "title"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "reviewStory",
+      description: "Review a story awaiting review (result: pass, clarify or reject).",
+      inputSchema: {
+        type: "object",
+        properties: {
+          storyId: { type: "number", description: "Story ID (required)" },
+          result: {
+            type: "string",
+            description: "Review result (required)",
+            enum: ["pass", "clarify", "reject"],
+          },
+          closedReason: {
+            type: "string",
+            description: "Closed reason when rejecting",
+            enum: storyClosedReasons,
+          },
+          assignedTo: { type: "string", description: "Account to assign to" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["storyId", "result"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "activateStory",
+      description: "Reactivate a closed story.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          storyId: { type: "number", description: "Story ID (required)" },
+          assignedTo: { type: "string", description: "Account to assign to" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["storyId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "closeStory",
+      description: "Close a story with a reason. duplicateStory is required for closedReason=duplicate.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          storyId: { type: "number", description: "Story ID (required)" },
+          closedReason: {
+            type: "string",
+            description: "Closed reason (required)",
+            enum: storyClosedReasons,
+          },
+          duplicateStory: { type: "number", description: "Original story ID when duplicate" },
+          comment: { type: "string", description: "Comment" },
+        },
+        required: ["storyId", "closedReason"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "linkStoriesToPlan",
+      description: "Link stories to a product plan via POST /productplans/{id}/stories.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          planId: { type: "number", description: "Product plan ID (required)" },
+          stories: {
+            type: "array",
+            items: { type: "number" },
+            description: "Story IDs (required)",
+          },
+        },
+        required: ["planId", "stories"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "listCases",
+      description: "List test cases of a product, optionally by module.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productId: { type: "number", description: "Product ID (required)" },
+          moduleId: { type: "number", description: "Module ID" },
+          status: { type: "string", description: "Status filter (normal/blocked/investigate/...)" },
+          keyword: { type: "string", description: "Keyword filter on case title" },
+          limit: { type: "number", description: "Max items", default: 50 },
+        },
+        required: ["productId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getCaseDetail",
+      description: "Get a test case with its steps and expected results.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          caseId: { type: "number", description: "Case ID (required)" },
+        },
+        required: ["caseId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "createCase",
+      description:
+        "Create a test case. Pass structured steps, or stepsText with one step per line and the expected result after \"->\".",
+      inputSchema: {
+        type: "object",
+        properties: {
+          product: { type: "number", description: "Product ID (required)" },
+          title: { type: "string", description: "Case title (required)" },
+          module: { type: "number", description: "Module ID" },
+          story: { type: "number", description: "Related story ID" },
+          type: { type: "string", description: "Case type (feature, performance, ...)", default: "feature" },
+          stage: { type: "string", description: "Applicable stage (unittest, feature, ...)" },
+          pri: { type: "number", description: "Priority 1-4" },
+          precondition: { type: "string", description: "Precondition" },
+          keywords: { type: "string", description: "Keywords" },
+          steps: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                desc: { type: "string", description: "Step" },
+                expect: { type: "string", description: "Expected result" },
+              },
+              required: ["desc"],
+            },
+            description: "Structured steps",
+          },
+          stepsText: {
+            type: "string",
+            description: "Steps as text, e.g. \"1. Open login page -> form is shown\"",
+          },
+        },
+        required: ["product", "title"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "recordCaseResult",
+      description:
+        "Record a test case result via POST /cases/{id}/results. On fail, returns a suggestedBug linked to the case and run; set fileBug to create it.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          caseId: { type: "number", description: "Case ID (required)" },
+          result: {
+            type: "string",
+            description: "Overall result (required)",
+            enum: caseResults,
+          },
+          stepResults: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                result: { type: "string", enum: caseResults },
+                real: { type: "string", description: "Actual result" },
+              },
+            },
+            description: "Per-step results in step order; defaults to the overall result",
+          },
+          run: { type: "number", description: "Test run ID within a test task" },
+          testtask: { type: "number", description: "Test task ID" },
+          version: { type: "number", description: "Case version, defaults to current" },
+          fileBug: {
+            type: "boolean",
+            description: "When the result is fail, also create the suggested bug",
+            default: false,
+          },
+        },
+        required: ["caseId", "result"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "listTestTasks",
+      description: "List test tasks (测试单) of a project.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          projectId: { type: "number", description: "Project ID (required)" },
+          limit: { type: "number", description: "Max items", default: 50 },
+        },
+        required: ["projectId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getTestTask",
+      description: "Get a test task by ID.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          testtaskId: { type: "number", description: "Test task ID (required)" },
+        },
+        required: ["testtaskId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "listTestSuiteRuns",
+      description: "List the case runs of a test suite via GET /testsuites/{id}/runs.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          testsuiteId: { type: "number", description: "Test suite ID (required)" },
+          limit: { type: "number", description: "Max items", default: 100 },
+        },
+        required: ["testsuiteId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getMyWork",
+      description:
+        "Collect everything assigned to me across all products and executions: bugs, tasks, stories and test cases awaiting results, grouped and sorted by priority and deadline.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          includeCases: {
+            type: "boolean",
+            description: "Also scan open test tasks for cases awaiting my results",
+            default: true,
+          },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getBugReport",
+      description:
+        "Bug statistics for a product or project: breakdown by status, severity, priority, module, assignee, resolution and build; opened-vs-resolved trend per day or week; average time to resolve. Optional Markdown output.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productId: { type: "number", description: "Product ID" },
+          projectId: { type: "number", description: "Project ID (when no productId)" },
+          since: {
+            type: "string",
+            description: "Range start: YYYY-MM-DD, today, thisweek, lastweek, thismonth, lastmonth or <N>d",
+          },
+          until: { type: "string", description: "Range end (same formats)" },
+          interval: {
+            type: "string",
+            description: "Trend bucket size",
+            enum: ["day", "week"],
+            default: "week",
+          },
+          format: {
+            type: "string",
+            description: "Output format",
+            enum: ["json", "markdown"],
+            default: "json",
+          },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "clearCache",
+      description:
+        "Clear cached reference data (users, departments, products, projects, modules) in memory and on disk, for one resource or all.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          resource: {
+            type: "string",
+            enum: ["users", "departments", "products", "projects", "executions", "modules", "builds"],
+            description: "Only this resource (defaults to everything)",
+          },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "resolveName",
+      description:
+        "Look up users, products, projects, executions, modules or builds by fuzzy name, real name (真实姓名) or account. Returns the match, or the choices when the name is ambiguous.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          kind: {
+            type: "string",
+            enum: ["user", "product", "project", "execution", "module", "build"],
+            description: "What to look up",
+          },
+          query: { type: "string", description: "Name, real name or account" },
+          productId: {
+            type: "number",
+            description: "Product whose module tree is searched (required for modules; narrows builds)",
+          },
+        },
+        required: ["kind", "query"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "listExecutions",
+      description: "List the executions (sprints/stages) of a project.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          projectId: { type: "number", description: "Project ID" },
+          status: { type: "string", description: "Filter by status (wait, doing, suspended, closed)" },
+        },
+        required: ["projectId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getExecution",
+      description: "Execution detail with its tasks, stories and bugs.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          executionId: { type: "number", description: "Execution ID" },
+          include: {
+            type: "array",
+            items: { type: "string", enum: ["tasks", "stories", "bugs"] },
+            description: "What to include (default: all)",
+          },
+        },
+        required: ["executionId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getExecutionReport",
+      description:
+        "Progress of an execution: estimate/consumed/left hours, burndown against the ideal line with a projected finish date, overdue tasks, per-member load and story completion. Answers \"is this sprint on track?\".",
+      inputSchema: {
+        type: "object",
+        properties: {
+          executionId: { type: "number", description: "Execution ID" },
+          hoursPerDay: {
+            type: "number",
+            description: "Working hours per member per day, used for capacity",
+            default: 6,
+          },
+          format: {
+            type: "string",
+            description: "Output format",
+            enum: ["json", "markdown"],
+            default: "json",
+          },
+        },
+        required: ["executionId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getObjectHistory",
+      description:
+        "Read the normalized action history of a bug, task, story or case: who did what and when, each field change as from/to, and comments. Oldest first.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          objectType: { type: "string", enum: ["bug", "task", "story", "case"], description: "Object type" },
+          objectId: { type: "number", description: "Object ID" },
+          action: {
+            type: "string",
+            description: "Only these actions, comma separated (e.g. activated,resolved,commented)",
+          },
+          field: { type: "string", description: "Only entries that changed this field (e.g. assignedTo)" },
+        },
+        required: ["objectType", "objectId"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "addComment",
+      description: "Post a comment on a bug, task, story or case without changing its state or fields.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          objectType: { type: "string", enum: ["bug", "task", "story", "case"], description: "Object type" },
+          objectId: { type: "number", description: "Object ID" },
+          comment: { type: "string", description: "Comment (Markdown)" },
+          format: {
+            type: "string",
+            description: "Comment format",
+            enum: ["markdown", "text", "html"],
+            default: "markdown",
+          },
+        },
+        required: ["objectType", "objectId", "comment"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "linkGitCommits",
+      description:
+        "Find ZenTao references (bug #123, task#45 [2h], story 78) in the commit messages of a local git range, then comment on each item, optionally resolve bugs with the commit hash and build, and log task effort.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          repoPath: { type: "string", description: "Path of the local git repository" },
+          range: {
+            type: "string",
+            description: "Commit range A..B, e.g. v1.2.0..HEAD or main..feature (a single ref is rejected)",
+          },
+          pattern: {
+            type: "string",
+            description:
+              "Custom reference regex with named groups type (bug|task|story), id and optional hours (defaults to ZENTAO_COMMIT_PATTERN)",
+          },
+          comment: { type: "boolean", description: "Comment the commits on each item", default: true },
+          resolveBugs: { type: "boolean", description: "Resolve active bugs as fixed", default: false },
+          resolvedBuild: { type: "string", description: "Build recorded on resolved bugs", default: "trunk" },
+          logEffort: {
+            type: "boolean",
+            description: "Log the hours noted after task references (e.g. task#45 [2h])",
+            default: false,
+          },
+          maxCommits: {
+            type: "number",
+            description: "Refuse ranges with more commits than this",
+            default: 100,
+          },
+        },
+        required: ["repoPath", "range"],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "generateReleaseNotes",
+      description:
+        "Generate release notes from a release, build or product plan: linked stories and resolved bugs grouped by module, with contributors. Markdown or JSON.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productId: { type: "number", description: "Product ID (required with releaseId)" },
+          releaseId: { type: "number", description: "Release ID" },
+          buildId: { type: "number", description: "Build ID" },
+          planId: { type: "number", description: "Product plan ID" },
+          format: {
+            type: "string",
+            description: "Output format",
+            enum: ["markdown", "json"],
+            default: "markdown",
+          },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "getAuditLog",
+      description:
+        "Read recent write requests (POST/PUT/PATCH/DELETE) from the local audit log, newest first, including previous field values.",
       inputSchema: {
         type: "object",
         properties: {
-          keyword: { type: "string", description: "Filter by project name keyword" },
+          limit: { type: "number", description: "Max entries", default: 50 },
+          tool: { type: "string", description: "Only entries from this tool" },
+          method: { type: "string", description: "Only this HTTP method" },
+          pathContains: { type: "string", description: "Only paths containing this text, e.g. bugs/12" },
+          since: { type: "string", description: "Only entries at or after this date/time" },
+        },
+        required: [],
+        additionalProperties: false,
+      },
+    },
+    {
+      name: "searchBugs",
+      description:
+        "Search bugs of a product with ZenTao browse types (assigntome, openedbyme, unresolved, ...) and typed filters. Filters are sent to ZenTao where supported and always re-checked locally.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          productId: { type: "number", description: "Product ID (required)" },
+          browseType: {
+            type: "string",
+            description: "ZenTao browse type",
+            enum: Object.keys(bugBrowseTypes),
+            default: "all",
+          },
+          module: {
+            type: "array",
+            items: { type: "number" },
+            description: "Module IDs",
+          },
+          severity: {
+            type: "array",
+            items: { type: "number" },
+            description: "Severities (1-4)",
+          },
+          pri: {
+            type: "array",
+            items: { type: "number" },
+            description: "Priorities (1-4)",
+          },
+          build: {
+            type: "array",
+            items: { type: "string" },
+            description: "Opened or resolved build IDs",
+          },
+          status: { type: "string", description: "Exact status (active/resolved/closed)" },
+          assignedTo: { type: "string", description: "Assignee account" },
+          keyword: { type: "string", description: "Keyword filter on bug title" },
+          openedSince: {
+            type: "string",
+            description: "Opened on/after: YYYY-MM-DD, today, yesterday, thisweek, lastweek, thismonth, lastmonth or <N>d",
+          },
+          openedUntil: { type: "string", description: "Opened on/before (same formats)" },
+          resolvedSince: { type: "string", description: "Resolved on/after (same formats)" },
+          resolvedUntil: { type: "string", description: "Resolved on/before (same formats)" },
           limit: { type: "number", description: "Max items", default: 50 },
+          maxPages: { type: "number", description: "Stop after scanning this many pages" },
+        },
+        required: ["productId"],
+        additionalProperties: false,
+      },
+    },
+  ].map(withCommonArguments),
+});
+
+// Sessions pinned to a profile (HTTP tokens) may not switch to another one.
+function sessionContext(pinnedProfile, profile, rest) {
+  if (pinnedProfile && profile && profile.toLowerCase() !== pinnedProfile.name.toLowerCase()) {
+    throw new Error(`This access token is bound to profile "${pinnedProfile.name}"`);
+  }
+  return { ...rest, profile: pinnedProfile || profile, pinned: Boolean(pinnedProfile) };
+}
+
+async function callTool(request, { profile: pinnedProfile } = {}) {
+  const { name, arguments: { profile, dryRun = false, ...args } = {} } = request.params;
+  const context = sessionContext(pinnedProfile, profile, { dryRun, tool: name });
+  return withRequestContext(context, async () =>
+    handleToolCall(name, name === "call" ? args : await resolveArguments(args))
+  );
+}
+
+async function handleToolCall(name, args) {
+  if (name === "get_token") {
+    const token = await fetchToken(Boolean(args.forceRefresh));
+    return {
+      content: [
+        {
+          type: "text",
+          text: `token=${token}`,
+        },
+      ],
+    };
+  }
+
+  if (name === "call") {
+    const { path, method = "GET", query, body, forceTokenRefresh = false } = args;
+    if (!path) throw new Error("path is required");
+    // Raw calls always go to the server.
+    const response = await callZenTao({
+      path,
+      method,
+      query,
+      body,
+      forceTokenRefresh,
+      cache: false,
+    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(response, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "listMyProjects") {
+    const { keyword, limit } = args;
+    const projects = await listProjectsForAccount({ keyword, limit });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ projects }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "searchProducts") {
+    const { keyword, limit } = args;
+    const products = await listProducts({ keyword, limit });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ products }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getMyBug") {
+    const { productName, keyword, status, allStatuses = false } = args;
+    const { product, matches } = await findProductByName(productName);
+    if (!product) {
+      const names = matches.map((p) => `${p.id}:${p.name}`).join(", ");
+      throw new Error(
+        matches.length === 0
+          ? `No product matched "${productName}"`
+          : `Multiple products matched "${productName}", please specify one of: ${names}`
+      );
+    }
+    const { bugs } = await fetchBugsByProduct({
+      productId: product.id,
+      keyword,
+      status,
+      allStatuses,
+      limit: 1,
+    });
+    if (!bugs.length) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `No active bugs assigned to ${currentProfile().account || "me"} in product "${product.name}"`,
+          },
+        ],
+      };
+    }
+    const bugDetail = await getBugWithImages(bugs[0].id || bugs[0].bugId);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { product: { id: product.id, name: product.name }, bug: bugDetail },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  if (name === "getMyBugs") {
+    const { productId, keyword, status, allStatuses = false, limit = 20, maxPages } = args;
+    const { bugs, pagination } = await fetchBugsByProduct({
+      productId,
+      keyword,
+      allStatuses,
+      status,
+      limit,
+      maxPages,
+    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ bugs, pagination }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getNextBug") {
+    const { productId, keyword, status = "active", maxPages } = args;
+    const { bugs } = await fetchBugsByProduct({
+      productId,
+      keyword,
+      status,
+      limit: 1,
+      maxPages,
+    });
+    if (bugs.length) {
+      const bugDetail = await getBugWithImages(bugs[0].id || bugs[0].bugId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ bug: bugDetail }, null, 2),
+          },
+        ],
+      };
+    }
+    return {
+      content: [
+        {
+          type: "text",
+          text: `No ${status} bugs assigned to ${currentProfile().account || "me"} found under product ${productId}`,
+        },
+      ],
+    };
+  }
+
+  if (name === "getBugStats") {
+    const { productId, activeOnly = false, maxPages } = args;
+    const { bugs, pagination } = await fetchBugsByProduct({
+      productId,
+      allStatuses: !activeOnly,
+      limit: Infinity,
+      maxPages,
+    });
+    const total = bugs.length;
+    const active = bugs.filter((b) => (b.status || b.state || "").toLowerCase() === "active")
+      .length;
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ productId, total, active, pagination }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getBugDetail") {
+    const { bugId, includeImages = false, includeAttachments = true, maxImages: limit } = args;
+    const bug = await getBugWithImages(bugId);
+    if (!includeImages) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ bug }, null, 2),
+          },
+        ],
+      };
+    }
+    const { blocks, report } = await loadBugImages(bug, { limit, includeAttachments });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ bug, images: report }, null, 2),
+        },
+        ...blocks,
+      ],
+    };
+  }
+
+  if (name === "markBugResolved") {
+    const { bugId, comment } = args;
+    const { response } = await changeBugState(
+      bugId,
+      "resolve",
+      buildResolveBody({ bugId, resolution: "fixed", comment })
+    );
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(response, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "createBug") {
+    const result = await createBug(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "updateBug") {
+    const result = await updateBug(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "confirmBug") {
+    const { bugId, assignedTo, type, pri, comment } = args;
+    const result = await changeBugState(bugId, "confirm", {
+      assignedTo,
+      type,
+      pri,
+      comment,
+    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
         },
-        required: [],
-        additionalProperties: false,
-      },
-    },
-    {
-      name: "searchProducts",
-      description: "Search products by keyword; returns a short list of products.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          keyword: { type: "string", description: "Keyword to match product name" },
-          limit: { type: "number", description: "Max items", default: 20 },
+      ],
+    };
+  }
+
+  if (name === "assignBug") {
+    const { bugId, assignedTo, comment } = args;
+    if (!assignedTo) throw new Error("assignedTo is required");
+    const result = await changeBugState(bugId, "assign", { assignedTo, comment });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
         },
-        required: [],
-        additionalProperties: false,
-      },
-    },
-    {
-      name: "getMyBug",
-      description:
-        "Get the first active bug assigned to me in a product (by productName). Returns full bug detail.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          productName: { type: "string", description: "Product name to match (required)" },
-          keyword: { type: "string", description: "Keyword filter on bug title" },
-          status: { type: "string", description: "Status filter (e.g., active)" },
-          allStatuses: {
-            type: "boolean",
-            description: "Include non-active bugs",
-            default: false,
-          },
+      ],
+    };
+  }
+
+  if (name === "resolveBug") {
+    const { bugId } = args;
+    const result = await changeBugState(bugId, "resolve", buildResolveBody(args));
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
         },
-        required: ["productName"],
-        additionalProperties: false,
-      },
-    },
-    {
-      name: "getMyBugs",
-      description:
-        "List bugs assigned to me under a product. Defaults to active bugs only.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          productId: { type: "number", description: "Product ID (required)" },
-          keyword: { type: "string", description: "Keyword filter on bug title" },
-          status: { type: "string", description: "Status filter (e.g., active)" },
-          allStatuses: {
-            type: "boolean",
-            description: "Include non-active bugs",
-            default: false,
-          },
-          limit: { type: "number", description: "Max items", default: 20 },
+      ],
+    };
+  }
+
+  if (name === "activateBug") {
+    const { bugId, assignedTo, openedBuild, comment } = args;
+    const result = await changeBugState(bugId, "activate", {
+      assignedTo,
+      openedBuild,
+      comment,
+    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
         },
-        required: ["productId"],
-        additionalProperties: false,
-      },
-    },
-    {
-      name: "getNextBug",
-      description:
-        "Get the next active bug assigned to me under a product (first match).",
-      inputSchema: {
-        type: "object",
-        properties: {
-          productId: { type: "number", description: "Product ID (required)" },
-          keyword: { type: "string", description: "Keyword filter on bug title" },
-          status: { type: "string", description: "Status filter (e.g., active)" },
+      ],
+    };
+  }
+
+  if (name === "closeBug") {
+    const { bugId, comment } = args;
+    const result = await changeBugState(bugId, "close", { comment });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
         },
-        required: ["productId"],
-        additionalProperties: false,
-      },
-    },
-    {
-      name: "getBugStats",
-      description:
-        "Get counts of bugs assigned to me under a product (total and active).",
-      inputSchema: {
-        type: "object",
-        properties: {
-          productId: { type: "number", description: "Product ID (required)" },
-          activeOnly: {
-            type: "boolean",
-            description: "If true, only active count is returned",
-            default: false,
-          },
+      ],
+    };
+  }
+
+  if (name === "batchBugs") {
+    const result = await batchUpdateBugs(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
         },
-        required: ["productId"],
-        additionalProperties: false,
-      },
-    },
-    {
-      name: "getBugDetail",
-      description:
-        "Get bug detail by ID; also extracts image URLs from steps HTML into stepsImages.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          bugId: { type: "number", description: "Bug ID (required)" },
+      ],
+    };
+  }
+
+  if (name === "getMyTasks") {
+    const tasks = await listMyTasks(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ tasks }, null, 2),
         },
-        required: ["bugId"],
-        additionalProperties: false,
-      },
-    },
-    {
-      name: "markBugResolved",
-      description: "Mark a bug as resolved (resolution=fixed).",
-      inputSchema: {
-        type: "object",
-        properties: {
-          bugId: { type: "number", description: "Bug ID (required)" },
-          comment: { type: "string", description: "Resolution comment" },
+      ],
+    };
+  }
+
+  if (name === "getTaskDetail") {
+    const { taskId } = args;
+    const res = await callZenTao({ path: `tasks/${taskId}` });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ task: res.data }, null, 2),
         },
-        required: ["bugId"],
-        additionalProperties: false,
-      },
-    },
-  ],
-}));
+      ],
+    };
+  }
+
+  if (name === "createTask") {
+    const task = await createTask(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ task }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (
+    ["startTask", "pauseTask", "continueTask", "finishTask", "closeTask"].includes(name)
+  ) {
+    const { taskId, consumed, left, finishedDate, assignedTo, comment } = args;
+    const action = name.replace(/Task$/, "");
+    const body =
+      action === "finish"
+        ? {
+            currentConsumed: consumed,
+            finishedDate: finishedDate || today(),
+            assignedTo,
+            comment,
+          }
+        : { consumed, left, comment };
+    const result = await changeTaskState(taskId, action, body);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "logTaskEffort") {
+    const { taskId, consumed, left, work, date } = args;
+    if (!taskId) throw new Error("taskId is required");
+    const response = await callZenTao({
+      path: `tasks/${taskId}/efforts`,
+      method: "POST",
+      body: { date: date || today(), consumed, left, work },
+    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(response, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getTaskEfforts") {
+    const { taskId } = args;
+    const res = await callZenTao({ path: `tasks/${taskId}/efforts` });
+    const efforts = extractArray(res.data, ["efforts"]);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ taskId, efforts }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "listStories") {
+    const stories = await listStories(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ stories }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getStoryDetail") {
+    const { storyId } = args;
+    const story = await getStoryWithImages(storyId);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ story }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "createStory") {
+    const story = await createStory(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ story }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "reviewStory") {
+    const { storyId, result, closedReason, assignedTo, comment } = args;
+    if (!["pass", "clarify", "reject"].includes(result)) {
+      throw new Error(`Invalid result "${result}", expected pass, clarify or reject`);
+    }
+    if (result === "reject" && !closedReason) {
+      throw new Error(`closedReason is required when rejecting story ${storyId}`);
+    }
+    const outcome = await changeStoryState(storyId, "review", {
+      result,
+      closedReason,
+      assignedTo,
+      comment,
+    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(outcome, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "activateStory") {
+    const { storyId, assignedTo, comment } = args;
+    const result = await changeStoryState(storyId, "activate", { assignedTo, comment });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args = {} } = request.params;
-  if (name === "get_token") {
-    const token = await fetchToken(Boolean(args.forceRefresh));
+  if (name === "closeStory") {
+    const { storyId, closedReason, duplicateStory, comment } = args;
+    if (!storyClosedReasons.includes(closedReason)) {
+      throw new Error(
+        `Invalid closedReason "${closedReason}", expected one of: ${storyClosedReasons.join(", ")}`
+      );
+    }
+    if (closedReason === "duplicate" && !duplicateStory) {
+      throw new Error(`duplicateStory is required when closing story ${storyId} as duplicate`);
+    }
+    const result = await changeStoryState(storyId, "close", {
+      closedReason,
+      duplicateStory: closedReason === "duplicate" ? duplicateStory : undefined,
+      comment,
+    });
     return {
       content: [
         {
           type: "text",
-          text: `token=${token}`,
+          text: JSON.stringify(result, null, 2),
         },
       ],
     };
   }
 
-  if (name === "call") {
-    const { path, method = "GET", query, body, forceTokenRefresh = false } = args;
-    if (!path) throw new Error("path is required");
+  if (name === "linkStoriesToPlan") {
+    const { planId, stories = [] } = args;
+    if (!planId) throw new Error("planId is required");
+    if (!stories.length) throw new Error("stories is required");
     const response = await callZenTao({
-      path,
-      method,
-      query,
-      body,
-      forceTokenRefresh,
+      path: `productplans/${planId}/stories`,
+      method: "POST",
+      body: { stories },
     });
     return {
       content: [
@@ -574,169 +5248,229 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     };
   }
 
-  if (name === "listMyProjects") {
-    const { keyword, limit } = args;
-    const projects = await listProjectsForAccount({ keyword, limit });
+  if (name === "listCases") {
+    const cases = await listCases(args);
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify({ projects }, null, 2),
+          text: JSON.stringify({ cases }, null, 2),
         },
       ],
     };
   }
 
-  if (name === "searchProducts") {
-    const { keyword, limit } = args;
-    const products = await listProducts({ keyword, limit });
+  if (name === "getCaseDetail") {
+    const { caseId } = args;
+    const testcase = await getCaseDetail(caseId);
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify({ products }, null, 2),
+          text: JSON.stringify({ case: testcase }, null, 2),
         },
       ],
     };
   }
 
-  if (name === "getMyBug") {
-    const { productName, keyword, status, allStatuses = false } = args;
-    const { product, matches } = await findProductByName(productName);
-    if (!product) {
-      const names = matches.map((p) => `${p.id}:${p.name}`).join(", ");
-      throw new Error(
-        matches.length === 0
-          ? `No product matched "${productName}"`
-          : `Multiple products matched "${productName}", please specify one of: ${names}`
-      );
-    }
-    const { bugs } = await fetchBugsByProduct({
-      productId: product.id,
-      keyword,
-      status,
-      allStatuses,
-      limit: 1,
-    });
-    if (!bugs.length) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `No active bugs assigned to ${account || "me"} in product "${product.name}"`,
-          },
-        ],
-      };
-    }
-    const bugDetail = await getBugWithImages(bugs[0].id || bugs[0].bugId);
+  if (name === "createCase") {
+    const testcase = await createCase(args);
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(
-            { product: { id: product.id, name: product.name }, bug: bugDetail },
-            null,
-            2
-          ),
+          text: JSON.stringify({ case: testcase }, null, 2),
         },
       ],
     };
   }
 
-  if (name === "getMyBugs") {
-    const { productId, keyword, status, allStatuses = false, limit = 20 } = args;
-    const { bugs, raw } = await fetchBugsByProduct({
-      productId,
-      keyword,
-      allStatuses,
-      status,
+  if (name === "recordCaseResult") {
+    const result = await recordCaseResult(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "listTestTasks") {
+    const { projectId, limit = 50 } = args;
+    const { items } = await fetchAllPages({
+      path: `projects/${projectId}/testtasks`,
+      keys: ["testtasks"],
       limit,
     });
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify({ bugs, raw }, null, 2),
+          text: JSON.stringify({ testtasks: items }, null, 2),
         },
       ],
     };
   }
 
-  if (name === "getNextBug") {
-    const { productId, keyword, status } = args;
-    let page = 1;
-    const pageSize = 20;
-    while (page <= 10) {
-      const { bugs } = await fetchBugsByProduct({
-        productId,
-        keyword,
-        status,
-        limit: pageSize,
-        page,
-      });
-      if (bugs.length) {
-        const bugDetail = await getBugWithImages(bugs[0].id || bugs[0].bugId);
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({ bug: bugDetail }, null, 2),
-            },
-          ],
-        };
-      }
-      page += 1;
-    }
+  if (name === "getTestTask") {
+    const { testtaskId } = args;
+    const res = await callZenTao({ path: `testtasks/${testtaskId}` });
     return {
       content: [
         {
           type: "text",
-          text: `No active bugs assigned to ${account || "me"} found under product ${productId}`,
+          text: JSON.stringify({ testtask: res.data }, null, 2),
         },
       ],
     };
   }
 
-  if (name === "getBugStats") {
-    const { productId, activeOnly = false } = args;
-    const { bugs } = await fetchBugsByProduct({
-      productId,
-      allStatuses: !activeOnly,
-      limit: 200,
+  if (name === "listTestSuiteRuns") {
+    const { testsuiteId, limit = 100 } = args;
+    const { items } = await fetchAllPages({
+      path: `testsuites/${testsuiteId}/runs`,
+      keys: ["runs"],
+      limit,
     });
-    const total = bugs.length;
-    const active = bugs.filter((b) => (b.status || b.state || "").toLowerCase() === "active")
-      .length;
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify({ productId, total, active }, null, 2),
+          text: JSON.stringify({ runs: items }, null, 2),
         },
       ],
     };
   }
 
-  if (name === "getBugDetail") {
-    const { bugId } = args;
-    const bug = await getBugWithImages(bugId);
+  if (name === "searchBugs") {
+    const result = await searchBugs(args);
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify({ bug }, null, 2),
+          text: JSON.stringify(result, null, 2),
         },
       ],
     };
   }
 
-  if (name === "markBugResolved") {
-    const { bugId, comment } = args;
-    const response = await callZenTao({
-      path: `bugs/${bugId}/resolve`,
-      method: "POST",
-      body: { resolution: "fixed", comment },
-    });
+  if (name === "getMyWork") {
+    const work = await collectMyWork(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(work, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getBugReport") {
+    const { format = "json" } = args;
+    const report = await buildBugReport(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: format === "markdown" ? bugReportToMarkdown(report) : JSON.stringify(report, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "clearCache") {
+    const { resource } = args;
+    const cleared = invalidateCache(resource);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ resource: resource || "all", cleared }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "resolveName") {
+    const { kind, query, productId } = args;
+    const result = await findByName(kind, query, { productId });
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ kind, query, ...result }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "listExecutions") {
+    const { projectId, status } = args;
+    const executions = (await listExecutions(projectId))
+      .filter((execution) => !status || `${execution.status || ""}`.toLowerCase() === status.toLowerCase())
+      .map(({ id, name, code, type, status: state, begin, end, progress }) => ({
+        id,
+        name,
+        code,
+        type,
+        status: state,
+        begin,
+        end,
+        progress,
+      }));
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ executions }, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getExecution") {
+    const detail = await getExecutionDetail(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(detail, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getExecutionReport") {
+    const { format = "json" } = args;
+    const report = await buildExecutionReport(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: format === "markdown" ? executionReportToMarkdown(report) : JSON.stringify(report, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "getObjectHistory") {
+    const result = await getObjectHistory(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "addComment") {
+    const { objectType, objectId, comment, format = "markdown" } = args;
+    const response = await addComment(objectType, objectId, formatRichText(comment, format));
     return {
       content: [
         {
@@ -747,8 +5481,316 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     };
   }
 
+  if (name === "linkGitCommits") {
+    const result = await linkGitCommits(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
+
+  if (name === "generateReleaseNotes") {
+    const { format = "markdown" } = args;
+    const notes = await collectReleaseContent(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: format === "json" ? JSON.stringify(notes, null, 2) : releaseNotesToMarkdown(notes),
+        },
+      ],
+    };
+  }
+
+  if (name === "getAuditLog") {
+    const entries = readAuditLog(args);
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ file: auditLogFile || null, entries }, null, 2),
+        },
+      ],
+    };
+  }
+
   throw new Error(`Unknown tool: ${name}`);
-});
+}
+
+/**
+ * Build an MCP server. Over HTTP each session gets its own server, pinned to
+ * the profile of the bearer token that opened it.
+ */
+export function createServer({ profile } = {}) {
+  const server = new Server(serverInfo, {
+    // Declare supported feature sets so initialization succeeds.
+    capabilities: {
+      prompts: {}, // enables prompts/list & get
+      resources: {}, // enables resources/list & read
+      tools: {}, // enables tools/list & call
+    },
+  });
+  const inSession = (fn) => (profile ? withRequestContext({ profile, pinned: true }, fn) : fn());
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ReadResourceRequestSchema, (request) => inSession(() => readResource(request)));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+  server.setRequestHandler(ListPromptsRequestSchema, listPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, (request) => getPrompt(request, { profile }));
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, (request) => callTool(request, { profile }));
+  return server;
+}
+
+export async function startStdio() {
+  const transport = new StdioServerTransport();
+  await createServer().connect(transport);
+}
+
+/**
+ * Bearer tokens accepted over HTTP, from ZENTAO_HTTP_TOKENS_FILE
+ * ({ "<token>": "<profile>" | { baseUrl?, account, password } }) and
+ * ZENTAO_HTTP_TOKENS ("token=profile,..."). Credentials without a baseUrl
+ * use the default profile's server.
+ */
+function loadHttpTokens() {
+  const entries = [];
+  const file = setting("ZENTAO_HTTP_TOKENS_FILE");
+  if (file) {
+    if (!fs.existsSync(file)) throw new Error(`ZENTAO_HTTP_TOKENS_FILE not found: ${file}`);
+    entries.push(...Object.entries(JSON.parse(fs.readFileSync(file, "utf8"))));
+  }
+  for (const pair of toValueList(setting("ZENTAO_HTTP_TOKENS"))) {
+    const separator = pair.indexOf("=");
+    if (separator <= 0) throw new Error(`Invalid ZENTAO_HTTP_TOKENS entry "${pair}", expected token=profile`);
+    entries.push([pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()]);
+  }
+  const tokens = new Map();
+  for (const [token, target] of entries) {
+    if (typeof target === "string") {
+      tokens.set(token, getProfile(target));
+      continue;
+    }
+    const name = `token-${crypto.createHash("sha256").update(token).digest("hex").slice(0, 8)}`;
+    const baseUrl = target.baseUrl || profiles.get(defaultProfileName)?.baseUrl;
+    tokens.set(token, createProfile(name, { ...target, baseUrl }, "http token"));
+  }
+  return tokens;
+}
+
+const httpSessionIdleMs = (Number(setting("ZENTAO_HTTP_SESSION_IDLE")) || 30 * 60) * 1000;
+
+function readJsonBody(req, limit = 4 * 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      const data = safeJson(text);
+      if (text && data === null) reject(Object.assign(new Error("Invalid JSON body"), { status: 400 }));
+      else resolve(data ?? undefined);
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Serve MCP over Streamable HTTP at /mcp, the older HTTP+SSE transport at
+ * /sse and /messages, and an unauthenticated liveness check at /health.
+ */
+export async function startHttp({ port, host } = {}) {
+  // 0 is a valid port (any free one), so only a missing value falls back.
+  const requestedPort = port === undefined || port === null || port === "" ? setting("ZENTAO_HTTP_PORT") ?? 3000 : port;
+  port = Number(requestedPort);
+  if (String(requestedPort).trim() === "" || !Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port "${requestedPort}", expected a number from 0 to 65535`);
+  }
+  host = host || setting("ZENTAO_HTTP_HOST") || "127.0.0.1";
+  const tokens = loadHttpTokens();
+  if (!tokens.size) {
+    throw new Error("HTTP mode needs access tokens: set ZENTAO_HTTP_TOKENS or ZENTAO_HTTP_TOKENS_FILE");
+  }
+  const sessions = new Map();
+  const openSession = async (transport, profile) => {
+    transport.onclose = () => sessions.delete(transport.sessionId);
+    await createServer({ profile }).connect(transport);
+  };
+  // Clients that disappear without ending their session are closed when idle.
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - httpSessionIdleMs;
+    for (const session of sessions.values()) {
+      if (session.lastSeen < cutoff) session.transport.close();
+    }
+  }, 60 * 1000);
+  sweep.unref();
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const reply = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+    try {
+      if (url.pathname === "/health") {
+        return reply(200, { status: "ok", ...serverInfo, sessions: sessions.size });
+      }
+      const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "")?.[1];
+      const profile = bearer && tokens.get(bearer);
+      if (!profile) {
+        res.setHeader("WWW-Authenticate", "Bearer");
+        return reply(401, { error: "Missing or unknown bearer token" });
+      }
+      const sessionId = req.headers["mcp-session-id"] || url.searchParams.get("sessionId");
+      const session = sessionId ? sessions.get(sessionId) : undefined;
+      if (sessionId && !session) return reply(404, { error: `Unknown session ${sessionId}` });
+      if (session && session.profile !== profile) return reply(403, { error: "Session belongs to another token" });
+      if (session) session.lastSeen = Date.now();
+
+      if (url.pathname === "/mcp") {
+        const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+        if (session) {
+          if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+            return reply(400, { error: "Session uses the SSE transport" });
+          }
+          return await session.transport.handleRequest(req, res, body);
+        }
+        if (req.method !== "POST" || ![].concat(body ?? []).some(isInitializeRequest)) {
+          return reply(400, { error: "Start a session with an initialize request" });
+        }
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => crypto.randomUUID(),
+          onsessioninitialized: (id) => sessions.set(id, { transport, profile, lastSeen: Date.now() }),
+        });
+        await openSession(transport, profile);
+        return await transport.handleRequest(req, res, body);
+      }
+      if (url.pathname === "/sse" && req.method === "GET") {
+        const transport = new SSEServerTransport("/messages", res);
+        sessions.set(transport.sessionId, { transport, profile, lastSeen: Date.now() });
+        return await openSession(transport, profile);
+      }
+      if (url.pathname === "/messages" && req.method === "POST") {
+        if (!(session?.transport instanceof SSEServerTransport)) {
+          return reply(400, { error: "sessionId of an SSE session is required" });
+        }
+        return await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+      }
+      return reply(404, { error: "Not found" });
+    } catch (err) {
+      if (!res.headersSent) reply(err.status || 500, { error: err.message });
+      else res.end();
+    }
+  });
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, resolve);
+  });
+  console.error(`ZenTao MCP server listening on http://${host}:${httpServer.address().port} (/mcp, /sse, /health)`);
+  return httpServer;
+}
+
+const numericSettings = [
+  "ZENTAO_PAGE_SIZE",
+  "ZENTAO_PAGE_CONCURRENCY",
+  "ZENTAO_MAX_IMAGES",
+  "ZENTAO_MAX_IMAGE_BYTES",
+  "ZENTAO_IMAGE_CACHE_TTL",
+  "ZENTAO_IMAGE_CACHE_MAX_BYTES",
+  "ZENTAO_MAX_RETRIES",
+  "ZENTAO_RETRY_DELAY_MS",
+  "ZENTAO_CACHE_TTL",
+  "ZENTAO_HTTP_PORT",
+  "ZENTAO_HTTP_SESSION_IDLE",
+];
+
+/**
+ * `zentao-mcp doctor`: print where every setting comes from, validate them,
+ * and check that each profile's server answers and accepts its login.
+ * Resolves to the number of problems found.
+ */
+export async function runDoctor({ log = console.log } = {}) {
+  let problems = 0;
+  const fail = (message) => {
+    problems += 1;
+    log(`  FAIL  ${message}`);
+  };
+  const pass = (message) => log(`  ok    ${message}`);
+  const warn = (message) => log(`  warn  ${message}`);
 
-const transport = new StdioServerTransport();
-server.connect(transport);
+  log("Config files");
+  log(`  config file:   ${settings.config.file || "none (use --config or ZENTAO_CONFIG)"}`);
+  log(`  .env:          ${settings.dotEnvFile || "none"}`);
+  log(`  profiles file: ${fs.existsSync(profilesFile) ? profilesFile : "none"}`);
+  settings.warnings.forEach(warn);
+
+  log("\nSettings (environment > config file > .env > default)");
+  const width = Math.max(...Object.keys(settingKeys).map((key) => key.length));
+  for (const key of Object.keys(settingKeys)) {
+    const { value, source } = settingEntry(key);
+    const shown = value === undefined ? "-" : secretSettings.includes(key) ? "(set)" : JSON.stringify(value);
+    log(`  ${key.padEnd(width)}  ${shown}  [${source}]`);
+  }
+
+  log("\nValidation");
+  for (const key of numericSettings) {
+    const value = setting(key);
+    if (value !== undefined && !Number.isFinite(Number(value))) fail(`${key} is not a number: ${value}`);
+  }
+  try {
+    new RegExp(commitPattern, "gi");
+  } catch (err) {
+    fail(`ZENTAO_COMMIT_PATTERN is invalid: ${err.message}`);
+  }
+  if (setting("ZENTAO_PASSWORD") && setting("ZENTAO_PASSWORD_CMD")) {
+    warn("Both ZENTAO_PASSWORD and ZENTAO_PASSWORD_CMD are set; the password is used");
+  }
+  if (readOnly) warn("Read-only mode: only GET requests are sent");
+  if (!problems) pass("settings are valid");
+
+  for (const profile of profiles.values()) {
+    log(`\nProfile "${profile.name}"${profile.name === defaultProfileName ? " (default)" : ""} [${profile.source}]`);
+    try {
+      assertConfig(profile);
+      const url = new URL(profile.baseUrl);
+      if (!/^https?:$/.test(url.protocol)) throw new Error(`ZENTAO_BASE_URL must be http(s): ${profile.baseUrl}`);
+      pass(`configured: ${profile.account} @ ${profile.baseUrl}`);
+    } catch (err) {
+      fail(err.message);
+      continue;
+    }
+    const started = Date.now();
+    try {
+      const res = await fetch(`${profile.baseUrl}/api.php/v1/`, { signal: AbortSignal.timeout(10000) });
+      await res.body?.cancel();
+      pass(`reachable: HTTP ${res.status} in ${Date.now() - started} ms`);
+    } catch (err) {
+      fail(`unreachable: ${err.cause?.message || err.message}`);
+      continue;
+    }
+    try {
+      profile.cachedToken = "";
+      await requestToken(profile);
+      pass(`login: token received${profile.passwordCommand ? " (password from ZENTAO_PASSWORD_CMD)" : ""}`);
+    } catch (err) {
+      fail(`login: ${err.message}`);
+    }
+  }
+  log(problems ? `\n${problems} problem(s) found` : "\nAll checks passed");
+  return problems;
+}
+
+// Running this file directly (npm start) serves stdio like the bin script.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startStdio();
+}
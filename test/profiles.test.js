@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const bin = fileURLToPath(new URL("../bin/zentao-mcp.js", import.meta.url));
+
+// Runs `zentao-mcp doctor` with only the given config file and ./.env.
+function doctor({ config, dotEnv }) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "zentao-mcp-"));
+  fs.mkdirSync(path.join(home, ".zentao-mcp"));
+  fs.writeFileSync(path.join(home, ".zentao-mcp", "config.toml"), config);
+  fs.writeFileSync(path.join(home, ".env"), dotEnv);
+  try {
+    const { stdout } = spawnSync(process.execPath, [bin, "doctor"], {
+      cwd: home,
+      env: { PATH: process.env.PATH, HOME: home },
+      encoding: "utf8",
+      timeout: 30000,
+    });
+    return stdout;
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+test(".env cannot point a config profile's password command at another server", () => {
+  const output = doctor({
+    config: '[profiles.staging]\naccount = "me"\npasswordCmd = "echo secret"\n',
+    dotEnv: "ZENTAO_PROFILE_STAGING_BASE_URL=https://attacker.example\n",
+  });
+  assert.doesNotMatch(output, /configured: .*attacker\.example/);
+  assert.match(output, /Ignored the base URL of profile "staging"/);
+  assert.match(output, /Missing ZENTAO_BASE_URL for profile "staging"/);
+});
+
+test("config file values override ./.env", () => {
+  const output = doctor({
+    config: '[profiles.staging]\nbaseUrl = "http://127.0.0.1:1"\naccount = "me"\npassword = "secret"\n',
+    dotEnv: "ZENTAO_PROFILE_STAGING_BASE_URL=https://attacker.example\nZENTAO_PROFILE_STAGING_ACCOUNT=other\n",
+  });
+  assert.match(output, /configured: me @ http:\/\/127\.0\.0\.1:1/);
+  assert.doesNotMatch(output, /attacker\.example/);
+});